@@ -0,0 +1,125 @@
+/**
+ * Coordinate Precision Audit Module
+ * Observational audit pass for the precision coordinates are written with (latRaw / lonRaw)
+ * Reports decimal places, the decimal grid coordinates snap to and its size in meters,
+ * and where precision changes partway through a file
+ * Does NOT round, mutate, or correct coordinates
+ */
+
+/**
+ * Counts the decimal places of a coordinate as written
+ * Significant places ignore trailing zeros, so "46.123450" is written with 6 places but lies on a 1e-5 grid
+ * @param {string} raw - Coordinate text (plain decimal or exponent notation)
+ * @returns {{printed: number, significant: number}} Decimal places as written and without trailing zeros
+ */
+function countDecimalPlaces(raw) {
+  const parts = raw.split(/[eE]/);
+  const exponent = parts.length > 1 ? parseInt(parts[1], 10) || 0 : 0;
+  const fraction = /\.(\d*)/.exec(parts[0]);
+  const digits = fraction ? fraction[1] : '';
+  return {
+    printed: Math.max(0, digits.length - exponent),
+    significant: Math.max(0, digits.replace(/0+$/, '').length - exponent)
+  };
+}
+
+/**
+ * Audits coordinate precision in an array of points
+ * The grid of an axis is 10^-p degrees, where p is the largest number of significant decimal places
+ * any coordinate of that axis carries; every coordinate of the axis is a multiple of that step
+ * @param {Array} points - Array of point objects with index, lat, lon, latRaw, lonRaw, timeRaw properties
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.minGridStepM=0.5] - Grid step (meters) at or above which an axis is reported as snapping to its grid
+ * @param {number} [options.minRunPoints=10] - Consecutive points (at least) below the current precision before a fall
+ *   in precision is reported; shorter runs (values that happen to end in zero) do not change it
+ * @param {string} [options.distanceModel='haversine'] - Distance model the grid step is measured with (one of DISTANCE_MODELS)
+ * @returns {Object} Audit metadata object with per-axis precision, grid and precision change events
+ * @throws {Error} If the distance model is unknown
+ */
+function auditCoordinatePrecision(points, options = {}) {
+  const minGridStepM = options.minGridStepM !== undefined ? options.minGridStepM : 0.5;
+  const minRunPoints = options.minRunPoints !== undefined ? options.minRunPoints : 10;
+  const distanceModel = options.distanceModel !== undefined ? options.distanceModel : 'haversine';
+  const distanceBetween = getDistanceProvider(distanceModel);
+
+  // Points whose raw coordinate text is available (always, for points from the ingestion module)
+  const rawPoints = points.filter(point => typeof point.latRaw === 'string' && typeof point.lonRaw === 'string');
+
+  const axes = {
+    lat: { decimalPlacesCounts: {}, significantPlacesCounts: {}, maxSignificantPlaces: null },
+    lon: { decimalPlacesCounts: {}, significantPlacesCounts: {}, maxSignificantPlaces: null }
+  };
+
+  // Per-point precision: the larger significant place count of its two coordinates
+  const pointPlaces = rawPoints.map((point) => {
+    let places = 0;
+    ['lat', 'lon'].forEach((axis) => {
+      const a = axes[axis];
+      const counted = countDecimalPlaces(point[axis + 'Raw']);
+      a.decimalPlacesCounts[counted.printed] = (a.decimalPlacesCounts[counted.printed] || 0) + 1;
+      a.significantPlacesCounts[counted.significant] = (a.significantPlacesCounts[counted.significant] || 0) + 1;
+      a.maxSignificantPlaces = a.maxSignificantPlaces === null ? counted.significant : Math.max(a.maxSignificantPlaces, counted.significant);
+      places = Math.max(places, counted.significant);
+    });
+    return places;
+  });
+
+  // Grid step of each axis in degrees and in meters at the track's mean position (horizontal only)
+  const meanLat = rawPoints.length > 0 ? rawPoints.reduce((sum, p) => sum + p.lat, 0) / rawPoints.length : null;
+  const meanLon = rawPoints.length > 0 ? rawPoints.reduce((sum, p) => sum + p.lon, 0) / rawPoints.length : null;
+  ['lat', 'lon'].forEach((axis) => {
+    const a = axes[axis];
+    a.gridStepDeg = a.maxSignificantPlaces !== null ? Math.pow(10, -a.maxSignificantPlaces) : null;
+    a.gridStepM = null;
+    if (a.gridStepDeg !== null) {
+      const origin = { lat: meanLat, lon: meanLon };
+      a.gridStepM = axis === 'lat'
+        ? distanceBetween(origin, { lat: meanLat + a.gridStepDeg, lon: meanLon })
+        : distanceBetween(origin, { lat: meanLat, lon: meanLon + a.gridStepDeg });
+    }
+    a.snapsToGrid = a.gridStepM !== null && a.gridStepM >= minGridStepM;
+  });
+
+  // Precision changes: a rise is taken at once (a writer cannot add digits it does not have), a fall only
+  // after minRunPoints consecutive points below the current precision (a value may end in zero by chance)
+  const precisionChangeEvents = [];
+  const pushChange = (pos, fromPlaces, toPlaces) => {
+    precisionChangeEvents.push({
+      index: rawPoints[pos].index,
+      fromDecimalPlaces: fromPlaces,
+      toDecimalPlaces: toPlaces,
+      timeRaw: rawPoints[pos].timeRaw
+    });
+  };
+  let currentPlaces = pointPlaces.slice(0, minRunPoints).reduce((max, p) => Math.max(max, p), 0);
+  let belowStart = null;
+  pointPlaces.forEach((places, i) => {
+    if (places > currentPlaces) {
+      pushChange(i, currentPlaces, places);
+      currentPlaces = places;
+      belowStart = null;
+    } else if (places < currentPlaces) {
+      belowStart = belowStart === null ? i : belowStart;
+      if (i - belowStart + 1 >= minRunPoints) {
+        const lowerPlaces = pointPlaces.slice(belowStart, i + 1).reduce((max, p) => Math.max(max, p), 0);
+        pushChange(belowStart, currentPlaces, lowerPlaces);
+        currentPlaces = lowerPlaces;
+        belowStart = null;
+      }
+    } else {
+      belowStart = null;
+    }
+  });
+
+  return {
+    totalPointsChecked: points.length,
+    rawCoordinatePointCount: rawPoints.length,
+    distanceModel: distanceModel,
+    minGridStepM: minGridStepM,
+    minRunPoints: minRunPoints,
+    lat: axes.lat,
+    lon: axes.lon,
+    precisionChangeCount: precisionChangeEvents.length,
+    precisionChangeEvents: precisionChangeEvents
+  };
+}
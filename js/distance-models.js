@@ -0,0 +1,142 @@
+/**
+ * Distance Models Module
+ * Distance between two GPX points under a selectable geodesic model:
+ * spherical haversine, WGS84 ellipsoid (Vincenty inverse), or WGS84 with elevation (3D slope distance)
+ * Pure functions; does NOT mutate points
+ */
+
+/**
+ * Available distance models
+ * - haversine: sphere with R = 6371000 m, elevation ignored
+ * - wgs84: WGS84 ellipsoid geodesic (Vincenty inverse), elevation ignored
+ * - wgs84_3d: wgs84 combined with the elevation difference when both points have <ele>
+ */
+const DISTANCE_MODELS = ['haversine', 'wgs84', 'wgs84_3d'];
+
+/**
+ * WGS84 ellipsoid: semi-major axis (m) and flattening
+ */
+const WGS84_ELLIPSOID = {
+  a: 6378137,
+  f: 1 / 298.257223563
+};
+
+/**
+ * Calculates haversine distance between two points in meters
+ * @param {number} lat1 - Latitude of first point in degrees
+ * @param {number} lon1 - Longitude of first point in degrees
+ * @param {number} lat2 - Latitude of second point in degrees
+ * @param {number} lon2 - Longitude of second point in degrees
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000; // Earth radius in meters
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Calculates the geodesic distance between two points on the WGS84 ellipsoid (Vincenty inverse formula)
+ * Accurate to well below a millimeter; the iteration does not converge for nearly antipodal points,
+ * which never occur as consecutive GPX points
+ * @param {number} lat1 - Latitude of first point in degrees
+ * @param {number} lon1 - Longitude of first point in degrees
+ * @param {number} lat2 - Latitude of second point in degrees
+ * @param {number} lon2 - Longitude of second point in degrees
+ * @returns {number} Distance in meters, or NaN if the iteration does not converge
+ */
+function vincentyDistance(lat1, lon1, lat2, lon2) {
+  const a = WGS84_ELLIPSOID.a;
+  const f = WGS84_ELLIPSOID.f;
+  const b = a * (1 - f);
+  const toRad = Math.PI / 180;
+
+  const L = (lon2 - lon1) * toRad;
+  const U1 = Math.atan((1 - f) * Math.tan(lat1 * toRad));
+  const U2 = Math.atan((1 - f) * Math.tan(lat2 * toRad));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma = 0;
+  let cosSigma = 1;
+  let sigma = 0;
+  let cos2Alpha = 1;
+  let cos2SigmaM = 0;
+  let converged = false;
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) * (cosU2 * sinLambda) +
+      (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda));
+    if (sinSigma === 0) {
+      return 0; // Coincident points
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cos2Alpha = 1 - sinAlpha * sinAlpha;
+    // Both points on the equator: cos2Alpha is 0 and the term vanishes
+    cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+    const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+    const lambdaPrev = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - lambdaPrev) < 1e-12) {
+      converged = true;
+      break;
+    }
+  }
+  if (!converged) {
+    return NaN;
+  }
+
+  const uSq = cos2Alpha * (a * a - b * b) / (b * b);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+  return b * A * (sigma - deltaSigma);
+}
+
+/**
+ * Combines a horizontal distance with the elevation difference of two points (slope distance)
+ * @param {number} horizontalM - Horizontal distance in meters
+ * @param {number|null} ele1 - Elevation of first point in meters, or null
+ * @param {number|null} ele2 - Elevation of second point in meters, or null
+ * @returns {number} Slope distance in meters; the horizontal distance when either elevation is missing
+ */
+function slopeDistance(horizontalM, ele1, ele2) {
+  if (ele1 === null || ele1 === undefined || ele2 === null || ele2 === undefined) {
+    return horizontalM;
+  }
+  const dz = ele2 - ele1;
+  return Math.sqrt(horizontalM * horizontalM + dz * dz);
+}
+
+/**
+ * Returns the distance function of a distance model
+ * @param {string} model - One of DISTANCE_MODELS
+ * @returns {Function} (p1, p2) => distance in meters, for points with lat, lon and (optional) ele
+ * @throws {Error} If the model is unknown
+ */
+function getDistanceProvider(model) {
+  switch (model) {
+    case 'haversine':
+      return (p1, p2) => haversineDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+    case 'wgs84':
+      return (p1, p2) => vincentyDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+    case 'wgs84_3d':
+      return (p1, p2) => slopeDistance(vincentyDistance(p1.lat, p1.lon, p2.lat, p2.lon), p1.ele, p2.ele);
+    default:
+      throw new Error(`Unknown distance model: ${model} (expected one of ${DISTANCE_MODELS.join(', ')})`);
+  }
+}
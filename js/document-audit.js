@@ -0,0 +1,133 @@
+/**
+ * Document Audit Module
+ * Observational cross-checks between GPX document-level metadata and the point data
+ * Compares declared <bounds> with observed coordinates, <metadata><time> with the first
+ * track point time, and the version attribute with the root namespace
+ * Does NOT correct metadata or points
+ */
+
+/**
+ * Audits document-level metadata against the ingested points
+ * @param {Object} ingestion - Result of parseGPX (document, points)
+ * @returns {Object} Audit metadata object with version, bounds and time checks and a list of findings
+ */
+function auditDocument(ingestion) {
+  const documentInfo = ingestion.document;
+  const points = ingestion.points;
+  const findings = [];
+
+  // Version vs namespace: the version attribute and the root namespace should name the same schema
+  const declaredVersion = documentInfo.version;
+  let namespaceVersion = null;
+  Object.keys(GPX_NAMESPACES).forEach((version) => {
+    if (GPX_NAMESPACES[version] === documentInfo.namespaceURI) {
+      namespaceVersion = version;
+    }
+  });
+  let versionConsistent = null;
+  if (declaredVersion === null) {
+    findings.push({ code: 'VERSION_MISSING', detail: 'root <gpx> has no version attribute' });
+  }
+  if (namespaceVersion === null) {
+    findings.push({ code: 'NAMESPACE_UNKNOWN', detail: `root namespace is ${documentInfo.namespaceURI || 'absent'}` });
+  }
+  if (declaredVersion !== null && namespaceVersion !== null) {
+    versionConsistent = declaredVersion === namespaceVersion;
+    if (!versionConsistent) {
+      findings.push({
+        code: 'VERSION_NAMESPACE_MISMATCH',
+        detail: `version="${declaredVersion}" but namespace is GPX ${namespaceVersion}`
+      });
+    }
+  }
+  if (namespaceVersion === '1.1' && !documentInfo.hasMetadataElement &&
+      (documentInfo.metadata.name !== null || documentInfo.metadata.timeRaw !== null || documentInfo.metadata.bounds !== null)) {
+    findings.push({ code: 'GPX10_METADATA_IN_GPX11', detail: 'document metadata placed directly under <gpx> (GPX 1.0 layout) in a GPX 1.1 file' });
+  }
+
+  // Observed coordinate bounds over all kept points
+  let observed = null;
+  points.forEach((point) => {
+    if (observed === null) {
+      observed = { minlat: point.lat, minlon: point.lon, maxlat: point.lat, maxlon: point.lon };
+    } else {
+      observed.minlat = Math.min(observed.minlat, point.lat);
+      observed.minlon = Math.min(observed.minlon, point.lon);
+      observed.maxlat = Math.max(observed.maxlat, point.lat);
+      observed.maxlon = Math.max(observed.maxlon, point.lon);
+    }
+  });
+
+  // Declared vs observed bounds: count points lying outside the declared box
+  const declared = documentInfo.metadata.bounds;
+  let pointsOutsideDeclared = null;
+  if (declared !== null) {
+    const complete = declared.minlat !== null && declared.minlon !== null &&
+      declared.maxlat !== null && declared.maxlon !== null;
+    if (!complete) {
+      findings.push({ code: 'BOUNDS_INCOMPLETE', detail: 'declared <bounds> is missing a numeric attribute' });
+    } else {
+      pointsOutsideDeclared = points.filter(point =>
+        point.lat < declared.minlat || point.lat > declared.maxlat ||
+        point.lon < declared.minlon || point.lon > declared.maxlon
+      ).length;
+      if (pointsOutsideDeclared > 0) {
+        findings.push({
+          code: 'POINTS_OUTSIDE_DECLARED_BOUNDS',
+          detail: `${pointsOutsideDeclared} points lie outside the declared <bounds>`
+        });
+      }
+    }
+  }
+
+  // <metadata><time> vs the first track point time
+  const metadataTimeRaw = documentInfo.metadata.timeRaw;
+  const metadataTimeMs = metadataTimeRaw !== null ? parseTimestampMs(metadataTimeRaw) : NaN;
+  let firstTrackPointTimeRaw = null;
+  let firstTrackPointTimeMs = NaN;
+  let firstTrackPointIndex = null;
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point.pointType === 'trkpt' && point.timeRaw !== null && !isNaN(parseTimestampMs(point.timeRaw))) {
+      firstTrackPointTimeRaw = point.timeRaw;
+      firstTrackPointTimeMs = parseTimestampMs(point.timeRaw);
+      firstTrackPointIndex = point.index;
+      break;
+    }
+  }
+  let metadataTimeOffsetSec = null;
+  if (metadataTimeRaw !== null && isNaN(metadataTimeMs)) {
+    findings.push({ code: 'METADATA_TIME_UNPARSABLE', detail: `<time> "${metadataTimeRaw}" cannot be parsed` });
+  }
+  if (!isNaN(metadataTimeMs) && !isNaN(firstTrackPointTimeMs)) {
+    // Positive: metadata time is after the first track point (typical for an export / creation time)
+    metadataTimeOffsetSec = (metadataTimeMs - firstTrackPointTimeMs) / 1000;
+    if (metadataTimeOffsetSec < 0) {
+      findings.push({
+        code: 'METADATA_TIME_BEFORE_FIRST_TRKPT',
+        detail: `metadata time is ${-metadataTimeOffsetSec}s before the first track point time`
+      });
+    }
+  }
+
+  return {
+    versionCheck: {
+      declaredVersion: declaredVersion,
+      namespaceURI: documentInfo.namespaceURI,
+      namespaceVersion: namespaceVersion,
+      consistent: versionConsistent
+    },
+    boundsCheck: {
+      declared: declared,
+      observed: observed,
+      pointsOutsideDeclared: pointsOutsideDeclared
+    },
+    metadataTimeCheck: {
+      metadataTimeRaw: metadataTimeRaw,
+      firstTrackPointTimeRaw: firstTrackPointTimeRaw,
+      firstTrackPointIndex: firstTrackPointIndex,
+      offsetSec: metadataTimeOffsetSec
+    },
+    findings: findings
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Elevation Audit Module
+ * Observational audit pass for elevation (<ele>) data in GPX points
+ * Reports missing / unparsable elevations, vertical deltas and speeds, quantization,
+ * repeated-value runs and single-point spikes
+ * Does NOT mutate, smooth, or correct elevations
+ */
+
+/**
+ * Audits elevations in an array of points
+ * Deltas are formed between consecutive points with an elevation; points without one are skipped
+ * and do not break the comparison. Comparisons never cross a sequence boundary
+ * (track segment, route, or point type change)
+ * @param {Array} points - Array of point objects with ele, eleRaw and timeRaw properties
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.spikeThresholdM=10] - Minimum rise and fall (meters) around a single point to flag it as a spike
+ * @param {number} [options.minRepeatRunPoints=10] - Minimum run length (points) of one repeated elevation to report
+ * @returns {Object} Audit metadata object with counters, vertical deltas / speeds and flagged events
+ */
+function auditElevation(points, options = {}) {
+  const spikeThresholdM = options.spikeThresholdM !== undefined ? options.spikeThresholdM : 10;
+  const minRepeatRunPoints = options.minRepeatRunPoints !== undefined ? options.minRepeatRunPoints : 10;
+
+  // Initialize counters
+  const totalPointsChecked = points.length;
+  let missingElevationCount = 0;
+  let unparsableElevationCount = 0;
+  let segmentBoundaryCount = 0;
+  let minElevationM = null;
+  let maxElevationM = null;
+  let totalAscentM = 0;
+  let totalDescentM = 0;
+
+  // Vertical deltas (signed, meters) and implied vertical speeds (m/s)
+  const verticalDeltasM = [];
+  const verticalSpeedsMps = [];
+
+  // Quantization observations
+  let integerValueCount = 0;
+  const decimalPlacesCounts = {};
+  const distinctValues = new Set();
+  const stepCounts = {}; // |delta| rounded to mm → count (non-zero deltas only)
+
+  // Collect flagged events
+  const repeatedValueEvents = [];
+  const spikeEvents = [];
+
+  // Last points with an elevation in the current sequence (prev2 → prev1 → current)
+  let prev1 = null;
+  let prev2 = null;
+  let runStart = null; // First point of the current repeated-value run
+  let runLast = null;  // Last point of the current repeated-value run
+  let runPointCount = 0;
+
+  const parseTimeMs = (timeRaw) => {
+    if (timeRaw === null) {
+      return null;
+    }
+    const ms = parseTimestampMs(timeRaw);
+    return isNaN(ms) ? null : ms;
+  };
+
+  const closeRun = () => {
+    if (runStart !== null && runPointCount >= minRepeatRunPoints) {
+      const startMs = parseTimeMs(runStart.timeRaw);
+      const endMs = parseTimeMs(runLast.timeRaw);
+      repeatedValueEvents.push({
+        startIndex: runStart.index,
+        endIndex: runLast.index,
+        pointCount: runPointCount,
+        durationSec: startMs !== null && endMs !== null ? (endMs - startMs) / 1000 : null,
+        value: runStart.ele
+      });
+    }
+    runStart = null;
+    runLast = null;
+    runPointCount = 0;
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Sequence boundary: do not compare across segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      segmentBoundaryCount++;
+      closeRun();
+      prev1 = null;
+      prev2 = null;
+    }
+
+    // Missing (no <ele> text) vs unparsable (text present, not a number)
+    if (point.ele === null || point.ele === undefined) {
+      if (point.eleRaw !== null && point.eleRaw !== undefined) {
+        unparsableElevationCount++;
+      } else {
+        missingElevationCount++;
+      }
+      continue; // Skip comparison for points without an elevation
+    }
+
+    const ele = point.ele;
+    minElevationM = minElevationM === null ? ele : Math.min(minElevationM, ele);
+    maxElevationM = maxElevationM === null ? ele : Math.max(maxElevationM, ele);
+    distinctValues.add(ele);
+    if (Number.isInteger(ele)) {
+      integerValueCount++;
+    }
+    if (point.eleRaw) {
+      const fraction = /\.(\d*)/.exec(point.eleRaw.split(/[eE]/)[0]);
+      const places = fraction ? fraction[1].length : 0;
+      decimalPlacesCounts[places] = (decimalPlacesCounts[places] || 0) + 1;
+    }
+
+    if (prev1 !== null) {
+      // Rounded to µm so float noise (e.g. 0.1 + 0.2) does not create distinct step sizes
+      const deltaM = Math.round((ele - prev1.ele) * 1e6) / 1e6;
+      verticalDeltasM.push(deltaM);
+      if (deltaM > 0) {
+        totalAscentM += deltaM;
+      } else {
+        totalDescentM -= deltaM;
+      }
+      if (deltaM !== 0) {
+        const step = (Math.round(Math.abs(deltaM) * 1000) / 1000).toString();
+        stepCounts[step] = (stepCounts[step] || 0) + 1;
+      }
+
+      const prevMs = parseTimeMs(prev1.timeRaw);
+      const currMs = parseTimeMs(point.timeRaw);
+      if (prevMs !== null && currMs !== null && currMs > prevMs) {
+        verticalSpeedsMps.push(deltaM / ((currMs - prevMs) / 1000));
+      }
+
+      // Spike: prev1 rises / falls from prev2 and returns on the next point, both by at least the threshold
+      if (prev2 !== null) {
+        const deltaInM = prev1.ele - prev2.ele;
+        const deltaOutM = deltaM;
+        if (Math.sign(deltaInM) !== 0 && Math.sign(deltaInM) === -Math.sign(deltaOutM) &&
+            Math.abs(deltaInM) >= spikeThresholdM && Math.abs(deltaOutM) >= spikeThresholdM) {
+          spikeEvents.push({
+            index: prev1.index,
+            prevIndex: prev2.index,
+            nextIndex: point.index,
+            ele: prev1.ele,
+            deltaInM: Math.round(deltaInM * 1e6) / 1e6,
+            deltaOutM: deltaOutM
+          });
+        }
+      }
+
+      // Repeated-value run continues or ends
+      if (deltaM === 0) {
+        runLast = point;
+        runPointCount++;
+      } else {
+        closeRun();
+      }
+    }
+
+    if (runStart === null) {
+      runStart = point;
+      runLast = point;
+      runPointCount = 1;
+    }
+
+    prev2 = prev1;
+    prev1 = point;
+  }
+  closeRun();
+
+  // Step sizes: smallest and most frequent non-zero |delta|, and how many deltas are multiples of the smallest
+  const steps = Object.keys(stepCounts).map(Number).sort((a, b) => a - b);
+  const nonZeroDeltaCount = steps.reduce((sum, step) => sum + stepCounts[step.toString()], 0);
+  let smallestStepM = null;
+  let mostFrequentStepM = null;
+  let stepMultipleFraction = null;
+  if (steps.length > 0) {
+    smallestStepM = steps[0];
+    mostFrequentStepM = steps.reduce((best, step) =>
+      stepCounts[step.toString()] > stepCounts[best.toString()] ? step : best, steps[0]);
+    let multiples = 0;
+    steps.forEach((step) => {
+      const ratio = step / smallestStepM;
+      if (Math.abs(ratio - Math.round(ratio)) * smallestStepM < 0.001) {
+        multiples += stepCounts[step.toString()];
+      }
+    });
+    stepMultipleFraction = smallestStepM > 0 ? multiples / nonZeroDeltaCount : null;
+  }
+
+  const presentElevationCount = totalPointsChecked - missingElevationCount - unparsableElevationCount;
+  const maxAbsVerticalSpeedMps = verticalSpeedsMps.length > 0
+    ? verticalSpeedsMps.reduce((max, v) => Math.max(max, Math.abs(v)), 0)
+    : null;
+
+  return {
+    totalPointsChecked: totalPointsChecked,
+    presentElevationCount: presentElevationCount,
+    missingElevationCount: missingElevationCount,
+    unparsableElevationCount: unparsableElevationCount,
+    segmentBoundaryCount: segmentBoundaryCount,
+    minElevationM: minElevationM,
+    maxElevationM: maxElevationM,
+    totalAscentM: Math.round(totalAscentM * 1e6) / 1e6,
+    totalDescentM: Math.round(totalDescentM * 1e6) / 1e6,
+    verticalDeltasM: verticalDeltasM,
+    verticalDeltaSummary: summarizeSeries(verticalDeltasM, { peakScale: 'linear' }),
+    verticalSpeedsMps: verticalSpeedsMps,
+    maxAbsVerticalSpeedMps: maxAbsVerticalSpeedMps,
+    quantization: {
+      integerValueCount: integerValueCount,
+      integerValueFraction: presentElevationCount > 0 ? integerValueCount / presentElevationCount : null,
+      decimalPlacesCounts: decimalPlacesCounts,
+      distinctValueCount: distinctValues.size,
+      zeroDeltaCount: verticalDeltasM.length - nonZeroDeltaCount,
+      smallestStepM: smallestStepM,
+      mostFrequentStepM: mostFrequentStepM,
+      stepMultipleFraction: stepMultipleFraction
+    },
+    repeatedRunCount: repeatedValueEvents.length,
+    repeatedValueEvents: repeatedValueEvents,
+    spikeCount: spikeEvents.length,
+    spikeEvents: spikeEvents
+  };
+}
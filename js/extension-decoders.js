@@ -0,0 +1,201 @@
+/**
+ * Extension Decoder Module
+ * Namespace-aware decoding of GPX <extensions> content into typed sensor channels
+ * Decoders are looked up by the namespace URI of each direct child of <extensions>
+ * Does NOT interpret sensor values - decoding only maps elements to channels and numbers
+ */
+
+/**
+ * Sensor channels produced by the decoders, with their units
+ */
+const SENSOR_CHANNELS = {
+  hr: 'bpm',        // Heart rate
+  cad: 'rpm',       // Cadence
+  power: 'W',       // Power
+  atemp: '°C',      // Ambient temperature
+  wtemp: '°C',      // Water temperature
+  depth: 'm',       // Depth
+  speed: 'm/s',     // Speed reported by the device
+  course: 'deg',    // Course reported by the device
+  bearing: 'deg'    // Bearing reported by the device
+};
+
+/**
+ * Registered extension decoders, checked in registration order
+ * Each decoder: {id: string, namespaces: Array<string>, decode: function(Element): Object}
+ * decode receives one direct child of <extensions> and returns channel name → number|null
+ * (null when the element is present but its text is not a number)
+ */
+const extensionDecoderRegistry = [];
+
+/**
+ * Registers an extension decoder
+ * @param {Object} decoder - Decoder with id, namespaces (namespace URIs it handles) and decode function
+ * @throws {Error} If the decoder is missing an id, namespaces or decode function
+ */
+function registerExtensionDecoder(decoder) {
+  if (!decoder || typeof decoder.id !== 'string' || !Array.isArray(decoder.namespaces) ||
+      typeof decoder.decode !== 'function') {
+    throw new Error('Extension decoder requires id, namespaces and decode');
+  }
+  extensionDecoderRegistry.push(decoder);
+}
+
+/**
+ * Finds the registered decoder for a namespace URI
+ * @param {string|null} namespaceURI - Namespace URI of an extension element
+ * @returns {Object|null} Decoder, or null if no decoder handles the namespace
+ */
+function findExtensionDecoder(namespaceURI) {
+  for (let i = 0; i < extensionDecoderRegistry.length; i++) {
+    if (extensionDecoderRegistry[i].namespaces.includes(namespaceURI)) {
+      return extensionDecoderRegistry[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes numeric channel elements within an extension element
+ * If the element itself is a channel element, it is decoded directly;
+ * otherwise its descendants in the same namespace are searched
+ * @param {Element} element - Extension element
+ * @param {Object} channelMap - Element local name → sensor channel name
+ * @returns {Object} Channel name → number, or null if the element text is not a number
+ */
+function decodeChannelElements(element, channelMap) {
+  const channels = {};
+  const visit = (el) => {
+    if (el.namespaceURI !== element.namespaceURI) {
+      return;
+    }
+    const channel = channelMap[el.localName];
+    if (channel !== undefined) {
+      // First occurrence wins; repeated elements are not merged
+      if (!(channel in channels)) {
+        const text = el.textContent.trim();
+        const value = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(text) ? parseFloat(text) : null;
+        channels[channel] = value;
+      }
+      return;
+    }
+    for (let i = 0; i < el.children.length; i++) {
+      visit(el.children[i]);
+    }
+  };
+  visit(element);
+  return channels;
+}
+
+/**
+ * Decodes the <extensions> element of a point into sensor channels
+ * @param {Element|null} extensionsElement - The point's <extensions> element
+ * @returns {Object} Object with:
+ *   - channels: channel name → number|null (null when present but unparsable)
+ *   - recognisedNamespaces: Array<{namespaceURI, decoderId}> decoded on this point
+ *   - unrecognisedNamespaces: Array<string> namespace URIs seen but not handled by any decoder
+ */
+function decodeExtensions(extensionsElement) {
+  return decodeExtensionElements(extensionsElement ? Array.from(extensionsElement.children) : []);
+}
+
+/**
+ * Decodes a list of extension elements into sensor channels
+ * Used directly for GPX 1.0, where extension elements are point children rather than <extensions> children
+ * @param {Array<Element>} elements - Extension elements, each decoded by the decoder for its namespace
+ * @returns {Object} Same structure as decodeExtensions()
+ */
+function decodeExtensionElements(elements) {
+  const channels = {};
+  const recognisedNamespaces = [];
+  const unrecognisedNamespaces = [];
+
+  for (let i = 0; i < elements.length; i++) {
+    const child = elements[i];
+    const namespaceURI = child.namespaceURI || null;
+    const decoder = findExtensionDecoder(namespaceURI);
+
+    if (decoder === null) {
+      const key = namespaceURI === null ? '(no namespace)' : namespaceURI;
+      if (!unrecognisedNamespaces.includes(key)) {
+        unrecognisedNamespaces.push(key);
+      }
+      continue;
+    }
+
+    if (!recognisedNamespaces.some(r => r.namespaceURI === namespaceURI)) {
+      recognisedNamespaces.push({ namespaceURI: namespaceURI, decoderId: decoder.id });
+    }
+
+    // Earlier decoders / elements take precedence for the same channel
+    const decoded = decoder.decode(child);
+    Object.keys(decoded).forEach((channel) => {
+      if (!(channel in channels)) {
+        channels[channel] = decoded[channel];
+      }
+    });
+  }
+
+  return { channels: channels, recognisedNamespaces: recognisedNamespaces, unrecognisedNamespaces: unrecognisedNamespaces };
+}
+
+// Garmin TrackPointExtension v1 / v2
+// <gpxtpx:TrackPointExtension><gpxtpx:hr>..</gpxtpx:hr><gpxtpx:cad>..</gpxtpx:cad>...</gpxtpx:TrackPointExtension>
+registerExtensionDecoder({
+  id: 'garmin-trackpoint-v1',
+  namespaces: ['http://www.garmin.com/xmlschemas/TrackPointExtension/v1'],
+  decode: (element) => decodeChannelElements(element, {
+    atemp: 'atemp',
+    wtemp: 'wtemp',
+    depth: 'depth',
+    hr: 'hr',
+    cad: 'cad'
+  })
+});
+
+registerExtensionDecoder({
+  id: 'garmin-trackpoint-v2',
+  namespaces: ['http://www.garmin.com/xmlschemas/TrackPointExtension/v2'],
+  decode: (element) => decodeChannelElements(element, {
+    atemp: 'atemp',
+    wtemp: 'wtemp',
+    depth: 'depth',
+    hr: 'hr',
+    cad: 'cad',
+    speed: 'speed',
+    course: 'course',
+    bearing: 'bearing'
+  })
+});
+
+// Garmin GpxExtensions v3 (and v2): <gpxx:TrackPointExtension><gpxx:Temperature>..</gpxx:Temperature><gpxx:Depth>..</gpxx:Depth>
+// Waypoint / route extensions in this namespace carry no sensor data and decode to no channels
+registerExtensionDecoder({
+  id: 'garmin-gpxextensions',
+  namespaces: [
+    'http://www.garmin.com/xmlschemas/GpxExtensions/v3',
+    'http://www.garmin.com/xmlschemas/GpxExtensions/v2'
+  ],
+  decode: (element) => element.localName === 'TrackPointExtension'
+    ? decodeChannelElements(element, { Temperature: 'atemp', Depth: 'depth' })
+    : {}
+});
+
+// Garmin PowerExtension v1: <pwr:PowerInWatts>..</pwr:PowerInWatts>
+registerExtensionDecoder({
+  id: 'garmin-power-v1',
+  namespaces: ['http://www.garmin.com/xmlschemas/PowerExtension/v1'],
+  decode: (element) => decodeChannelElements(element, { PowerInWatts: 'power' })
+});
+
+// Cluetrust GPXDATA: channel elements directly under <extensions>, e.g. <gpxdata:hr>..</gpxdata:hr>
+registerExtensionDecoder({
+  id: 'cluetrust-gpxdata',
+  namespaces: ['http://www.cluetrust.com/XML/GPXDATA/1/0'],
+  decode: (element) => decodeChannelElements(element, {
+    hr: 'hr',
+    cadence: 'cad',
+    temp: 'atemp',
+    power: 'power'
+  })
+});
@@ -0,0 +1,126 @@
+/**
+ * Fix Quality Audit Module
+ * Observational audit pass for GPX fix-quality fields (sat, hdop, vdop, pdop, fix, ...)
+ * Does NOT mutate, filter, or weight points by fix quality
+ */
+
+/**
+ * Ordering of GPX fix types used to describe a fix change as degraded or improved
+ * dgps and pps share a rank: both are augmented 3D fixes
+ */
+const FIX_TYPE_RANK = {
+  none: 0,
+  '2d': 1,
+  '3d': 2,
+  dgps: 3,
+  pps: 3
+};
+
+/**
+ * Audits the fix-quality fields decoded during ingestion
+ * Fix changes are compared only within one sequence (track segment, route, or point type)
+ * @param {Array} points - Array of point objects with fix-quality fields (see FIX_QUALITY_FIELDS)
+ * @returns {Object} Audit metadata object with per-field distributions and fix change events
+ */
+function auditFixQuality(points) {
+  const totalPointsChecked = points.length;
+
+  // Per-field distribution of decoded numeric values
+  const numericFields = FIX_QUALITY_FIELDS.filter(field => field.kind !== 'fix').map(field => field.name);
+  const fieldValues = {};
+  numericFields.forEach((name) => {
+    fieldValues[name] = [];
+  });
+
+  // Fix type counts (only decoded values; missing / unparsable fix is counted separately)
+  const fixTypeCounts = {};
+  GPX_FIX_TYPES.forEach((fixType) => {
+    fixTypeCounts[fixType] = 0;
+  });
+  let missingFixCount = 0;
+
+  // Collect flagged events
+  const fixChangeEvents = [];
+  let fixDegradedCount = 0;
+  let fixImprovedCount = 0;
+
+  let lastFix = null;
+  let lastFixIndex = null;
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Sequence boundary: do not compare fix types across segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      lastFix = null;
+      lastFixIndex = null;
+    }
+
+    numericFields.forEach((name) => {
+      const value = point[name];
+      if (typeof value === 'number' && isFinite(value)) {
+        fieldValues[name].push(value);
+      }
+    });
+
+    const fix = point.fix;
+    if (fix === null || fix === undefined) {
+      missingFixCount++;
+      continue; // Skip comparison for missing fix
+    }
+    fixTypeCounts[fix]++;
+
+    // Compare with the last point in this sequence that reported a fix
+    if (lastFix !== null && fix !== lastFix) {
+      const rankDelta = FIX_TYPE_RANK[fix] - FIX_TYPE_RANK[lastFix];
+      let direction = 'changed';
+      if (rankDelta < 0) {
+        direction = 'degraded';
+        fixDegradedCount++;
+      } else if (rankDelta > 0) {
+        direction = 'improved';
+        fixImprovedCount++;
+      }
+      fixChangeEvents.push({
+        index: point.index,
+        prevIndex: lastFixIndex,
+        from: lastFix,
+        to: fix,
+        direction: direction
+      });
+    }
+
+    lastFix = fix;
+    lastFixIndex = point.index;
+  }
+
+  // Distribution summary per numeric field (null statistics when the field never appears)
+  const fieldDistributions = {};
+  numericFields.forEach((name) => {
+    const sorted = [...fieldValues[name]].sort((a, b) => a - b);
+    const count = sorted.length;
+    fieldDistributions[name] = {
+      count: count,
+      min: count > 0 ? sorted[0] : null,
+      max: count > 0 ? sorted[count - 1] : null,
+      median: count > 0 ? quantileOfSorted(sorted, 0.5) : null
+    };
+  });
+
+  const fieldsPresent = numericFields.filter(name => fieldDistributions[name].count > 0);
+  if (missingFixCount < totalPointsChecked) {
+    fieldsPresent.push('fix');
+  }
+
+  return {
+    totalPointsChecked: totalPointsChecked,
+    fieldsPresent: fieldsPresent,
+    fieldDistributions: fieldDistributions,
+    fixTypeCounts: fixTypeCounts,
+    missingFixCount: missingFixCount,
+    fixChangeCount: fixChangeEvents.length,
+    fixDegradedCount: fixDegradedCount,
+    fixImprovedCount: fixImprovedCount,
+    fixChangeEvents: fixChangeEvents
+  };
+}
@@ -2,26 +2,247 @@
  * GPX Ingestion Module
  * Parses raw GPX files using browser's DOMParser
  * Returns structured point data for all GPX point types (wpt, rtept, trkpt)
+ * along with the track / segment / route hierarchy the points belong to
  */
 
+/**
+ * GPX schema namespace URIs by version
+ */
+const GPX_NAMESPACES = {
+  '1.0': 'http://www.topografix.com/GPX/1/0',
+  '1.1': 'http://www.topografix.com/GPX/1/1'
+};
+
+/**
+ * Stable reason codes for rejected points, one per failed coordinate check
+ * A point may carry one code for lat and one for lon; a point in the wrong place
+ * in the document structure carries a single structural code instead
+ */
+const REJECTION_CODES = {
+  LAT_MISSING: 'LAT_MISSING',             // lat attribute absent
+  LAT_NOT_NUMERIC: 'LAT_NOT_NUMERIC',     // lat attribute not parseable as a number
+  LAT_NOT_FINITE: 'LAT_NOT_FINITE',       // lat parsed to Infinity
+  LAT_OUT_OF_RANGE: 'LAT_OUT_OF_RANGE',   // lat outside -90..90
+  LON_MISSING: 'LON_MISSING',
+  LON_NOT_NUMERIC: 'LON_NOT_NUMERIC',
+  LON_NOT_FINITE: 'LON_NOT_FINITE',
+  LON_OUT_OF_RANGE: 'LON_OUT_OF_RANGE',   // lon outside -180..180
+  TRKPT_OUTSIDE_TRKSEG: 'TRKPT_OUTSIDE_TRKSEG' // <trkpt> directly under <trk>, not in a <trkseg>
+};
+
+/**
+ * Explanation of each rejection code, built from the point's raw attribute values
+ */
+const REJECTION_MESSAGES = {
+  LAT_MISSING: () => 'lat attribute missing',
+  LAT_NOT_NUMERIC: raw => `lat="${raw.lat}" not parseable as a number`,
+  LAT_NOT_FINITE: raw => `lat="${raw.lat}" is not finite`,
+  LAT_OUT_OF_RANGE: raw => `lat="${raw.lat}" outside -90 to 90`,
+  LON_MISSING: () => 'lon attribute missing',
+  LON_NOT_NUMERIC: raw => `lon="${raw.lon}" not parseable as a number`,
+  LON_NOT_FINITE: raw => `lon="${raw.lon}" is not finite`,
+  LON_OUT_OF_RANGE: raw => `lon="${raw.lon}" outside -180 to 180`,
+  TRKPT_OUTSIDE_TRKSEG: () => '<trkpt> directly under <trk>, outside any <trkseg>'
+};
+
+/**
+ * Renders the rejection reason of a point from its codes
+ * @param {Array<string>} codes - Codes from REJECTION_CODES
+ * @param {Object} raw - Raw attribute values: {lat, lon}
+ * @returns {string} Reason text, one clause per code
+ */
+function describeRejection(codes, raw) {
+  return codes.map(code => REJECTION_MESSAGES[code](raw)).join('; ');
+}
+
+/**
+ * Checks one coordinate attribute
+ * @param {string|null} raw - Raw attribute value
+ * @param {string} axis - 'LAT' or 'LON'
+ * @param {number} limit - Absolute range limit (90 or 180)
+ * @returns {Object} Object with {value: number, code: string|null} (code null when valid)
+ */
+function checkCoordinate(raw, axis, limit) {
+  const value = parseFloat(raw);
+  let code = null;
+  if (raw === null) {
+    code = REJECTION_CODES[axis + '_MISSING'];
+  } else if (isNaN(value)) {
+    code = REJECTION_CODES[axis + '_NOT_NUMERIC'];
+  } else if (!isFinite(value)) {
+    code = REJECTION_CODES[axis + '_NOT_FINITE'];
+  } else if (value < -limit || value > limit) {
+    code = REJECTION_CODES[axis + '_OUT_OF_RANGE'];
+  }
+  return { value: value, code: code };
+}
+
+/**
+ * Fix-quality child elements of a GPX point and how their text is decoded
+ * - integer: xsd:nonNegativeInteger
+ * - decimal: xsd:decimal
+ * - fix: one of the GPX fixType values
+ * speed and course are GPX 1.0 point children only (versions); the rest are shared by GPX 1.0 and 1.1
+ */
+const FIX_QUALITY_FIELDS = [
+  { name: 'sat', kind: 'integer' },
+  { name: 'hdop', kind: 'decimal' },
+  { name: 'vdop', kind: 'decimal' },
+  { name: 'pdop', kind: 'decimal' },
+  { name: 'fix', kind: 'fix' },
+  { name: 'magvar', kind: 'decimal' },
+  { name: 'geoidheight', kind: 'decimal' },
+  { name: 'ageofdgpsdata', kind: 'decimal' },
+  { name: 'speed', kind: 'decimal', versions: ['1.0'] },
+  { name: 'course', kind: 'decimal', versions: ['1.0'] }
+];
+
+/**
+ * Child elements allowed on a point (wptType) in the GPX namespace, per schema version
+ * GPX 1.0 has no <extensions>: extension elements from other namespaces are direct point children
+ */
+const GPX_POINT_CHILDREN = {
+  '1.0': ['ele', 'time', 'course', 'speed', 'magvar', 'geoidheight', 'name', 'cmt', 'desc', 'src',
+    'url', 'urlname', 'sym', 'type', 'fix', 'sat', 'hdop', 'vdop', 'pdop', 'ageofdgpsdata', 'dgpsid'],
+  '1.1': ['ele', 'time', 'magvar', 'geoidheight', 'name', 'cmt', 'desc', 'src', 'link', 'sym', 'type',
+    'fix', 'sat', 'hdop', 'vdop', 'pdop', 'ageofdgpsdata', 'dgpsid', 'extensions']
+};
+
+/**
+ * Detects the GPX schema of a document
+ * The root namespace decides; the version attribute is only used when the namespace is not a GPX namespace
+ * Core elements are always resolved in the root namespace, whatever version is detected
+ * @param {Element} gpxElement - The root <gpx> element
+ * @returns {Object} Object with {version: '1.0'|'1.1'|null, namespaceURI: string|null, detectedFrom: 'namespace'|'version-attribute'|null}
+ */
+function detectGPXSchema(gpxElement) {
+  const namespaceURI = gpxElement.namespaceURI || null;
+  let version = null;
+  let detectedFrom = null;
+  Object.keys(GPX_NAMESPACES).forEach((v) => {
+    if (GPX_NAMESPACES[v] === namespaceURI) {
+      version = v;
+      detectedFrom = 'namespace';
+    }
+  });
+  if (version === null) {
+    const declared = gpxElement.getAttribute('version');
+    if (declared !== null && GPX_NAMESPACES[declared] !== undefined) {
+      version = declared;
+      detectedFrom = 'version-attribute';
+    }
+  }
+  return { version: version, namespaceURI: namespaceURI, detectedFrom: detectedFrom };
+}
+
+/**
+ * Valid values of the GPX fixType element
+ */
+const GPX_FIX_TYPES = ['none', '2d', '3d', 'dgps', 'pps'];
+
+/**
+ * Decodes the text of one fix-quality field
+ * @param {string} text - Trimmed, non-empty element text
+ * @param {string} kind - 'integer', 'decimal' or 'fix'
+ * @returns {number|string|null} Decoded value, or null if the text does not match the field's type
+ */
+function decodeFixQualityValue(text, kind) {
+  if (kind === 'integer') {
+    return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+  }
+  if (kind === 'fix') {
+    return GPX_FIX_TYPES.includes(text) ? text : null;
+  }
+  // xsd:decimal: optional sign, digits with optional fraction, no exponent
+  return /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text) ? parseFloat(text) : null;
+}
+
+/**
+ * Parses the fix-quality child elements of a point (sat, hdop, vdop, pdop, fix, magvar,
+ * geoidheight, ageofdgpsdata, speed, course)
+ * Fields that do not belong to the detected schema version are reported as missing
+ * @param {Element} pointElement - The point XML element
+ * @param {string|null} [schemaVersion] - Detected GPX version; null accepts the fields of every version
+ * @returns {Object} Object with {values: Object, status: Object}
+ *   - values: field name → decoded value, or null if missing / unparsable
+ *   - status: field name → 'missing' | 'present' | 'unparsable'
+ */
+function parseFixQualityFields(pointElement, schemaVersion = null) {
+  const values = {};
+  const status = {};
+  FIX_QUALITY_FIELDS.forEach((field) => {
+    const inSchema = schemaVersion === null || !field.versions || field.versions.includes(schemaVersion);
+    const text = inSchema ? getChildText(pointElement, field.name) : null;
+    if (text === null) {
+      values[field.name] = null;
+      status[field.name] = 'missing';
+      return;
+    }
+    const value = decodeFixQualityValue(text, field.kind);
+    values[field.name] = value;
+    status[field.name] = value === null ? 'unparsable' : 'present';
+  });
+  return { values: values, status: status };
+}
+
+/**
+ * Finds the direct children of a point that are not part of the GPX schema
+ * - GPX-namespace elements not defined for a point in the detected version (e.g. <speed> in GPX 1.1)
+ * - Other-namespace elements outside <extensions> in GPX 1.1 (GPX 1.0 allows them as extensions)
+ * @param {Element} pointElement - The point XML element
+ * @param {string|null} schemaVersion - Detected GPX version; null allows the children of every version
+ * @returns {Array<Object>} Array of {namespaceURI, localName}
+ */
+function findNonSchemaPointChildren(pointElement, schemaVersion) {
+  const coreNamespace = pointElement.namespaceURI || null;
+  const allowed = schemaVersion !== null
+    ? GPX_POINT_CHILDREN[schemaVersion]
+    : GPX_POINT_CHILDREN['1.0'].concat(GPX_POINT_CHILDREN['1.1']);
+  const nonSchema = [];
+  for (let i = 0; i < pointElement.children.length; i++) {
+    const child = pointElement.children[i];
+    const namespaceURI = child.namespaceURI || null;
+    const isCore = namespaceURI === coreNamespace;
+    if ((isCore && !allowed.includes(child.localName)) || (!isCore && schemaVersion === '1.1')) {
+      nonSchema.push({ namespaceURI: namespaceURI, localName: child.localName });
+    }
+  }
+  return nonSchema;
+}
+
 /**
  * Helper function to parse a single point element (wpt, rtept, or trkpt)
  * All three types share the same structure
+ * Child elements are resolved as direct children in the point's (GPX) namespace, so elements
+ * nested in <extensions> or from other namespaces are never taken as core data
  * @param {Element} pointElement - The point XML element
  * @param {number} index - Index of the point
  * @param {string} pointType - Type of point: 'wpt', 'rtept', or 'trkpt'
- * @returns {Object} Object with {valid: boolean, point: Object|null, rejectionReason: string|null, rawData: Object}
+ * @param {Object} [context] - Structural position of the point: {trackIndex, segmentIndex, routeIndex}
+ * @param {string|null} [schemaVersion] - Detected GPX version ('1.0', '1.1'), or null if unknown
+ * @returns {Object} Object with {valid: boolean, point: Object|null, rejectionReason: string|null,
+ *   rejectionCodes: Array<string>|null, rawData: Object, fixQualityStatus: Object|null, extensionNamespaces: Object|null, nonSchemaElements: Array|null}
  */
-function parsePointElement(pointElement, index, pointType) {
+function parsePointElement(pointElement, index, pointType, context = {}, schemaVersion = null) {
   // Extract raw data for logging rejected points
   const rawLat = pointElement.getAttribute('lat');
   const rawLon = pointElement.getAttribute('lon');
-  const rawEle = pointElement.querySelector('ele') ? pointElement.querySelector('ele').textContent : null;
-  const rawTime = pointElement.querySelector('time') ? pointElement.querySelector('time').textContent.trim() : null;
+  const eleElement = getChildElement(pointElement, 'ele');
+  const timeElement = getChildElement(pointElement, 'time');
+  const rawEle = eleElement ? eleElement.textContent : null;
+  const rawTime = timeElement ? timeElement.textContent.trim() : null;
+  
+  // Structural ordinals: null when the point does not belong to that container type
+  const trackIndex = context.trackIndex !== undefined ? context.trackIndex : null;
+  const segmentIndex = context.segmentIndex !== undefined ? context.segmentIndex : null;
+  const routeIndex = context.routeIndex !== undefined ? context.routeIndex : null;
   
   const rawData = {
     pointType: pointType,
     index: index,
+    trackIndex: trackIndex,
+    segmentIndex: segmentIndex,
+    routeIndex: routeIndex,
     lat: rawLat,
     lon: rawLon,
     ele: rawEle,
@@ -29,63 +250,130 @@ function parsePointElement(pointElement, index, pointType) {
   };
   
   // lat and lon are required attributes on all point types
-  const lat = parseFloat(rawLat);
-  const lon = parseFloat(rawLon);
-  
-  // Skip points with invalid coordinates (not parseable as numbers)
-  if (isNaN(lat) || isNaN(lon)) {
-    return {
-      valid: false,
-      point: null,
-      rejectionReason: `Invalid coordinates: lat="${rawLat}", lon="${rawLon}" (not parseable as numbers)`,
-      rawData: rawData
-    };
-  }
+  const latCheck = checkCoordinate(rawLat, 'LAT', 90);
+  const lonCheck = checkCoordinate(rawLon, 'LON', 180);
+  const lat = latCheck.value;
+  const lon = lonCheck.value;
+  const rejectionCodes = [latCheck.code, lonCheck.code].filter(code => code !== null);
   
-  // Validate coordinate ranges: lat must be between -90 and 90, lon between -180 and 180
-  // Also check that coordinates are finite numbers
-  if (!isFinite(lat) || !isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+  // Skip points with a missing, non-numeric, non-finite or out-of-range coordinate;
+  // the codes are the rejection, the reason is rendered from them
+  if (rejectionCodes.length > 0) {
     return {
       valid: false,
       point: null,
-      rejectionReason: `Coordinates out of valid range or non-finite: lat=${lat} (must be -90 to 90), lon=${lon} (must be -180 to 180)`,
+      rejectionReason: describeRejection(rejectionCodes, rawData),
+      rejectionCodes: rejectionCodes,
       rawData: rawData
     };
   }
   
   // <ele> is optional - keep point even if elevation is missing or invalid, store as null
-  const eleElement = pointElement.querySelector('ele');
   const ele = eleElement ? parseFloat(eleElement.textContent) : null;
   // Store as null if parsing failed or element doesn't exist
   const elevation = (ele !== null && !isNaN(ele)) ? ele : null;
+  // Raw text is kept so audits can tell a missing <ele> (null) from an unparsable one (text, ele null)
+  const eleRaw = rawEle !== null && rawEle.trim() !== "" ? rawEle.trim() : null;
   
   // <time> is optional child element, preserve as string if present
-  const timeElement = pointElement.querySelector('time');
   let timeRaw = null;
   if (timeElement) {
     const t = timeElement.textContent.trim();
     timeRaw = t === "" ? null : t;
   }
 
+  // Fix-quality fields are optional - missing or unparsable values are stored as null
+  const fixQuality = parseFixQualityFields(pointElement, schemaVersion);
   
-  // <extensions> must be preserved as DOM node for future pipeline stages
-  // Do not parse or inspect contents - preserve entire node structure
-  const extensionsElement = pointElement.querySelector('extensions');
-  const extensions = extensionsElement ? extensionsElement : null;
+  // <extensions> is decoded into typed sensor channels by the registered extension decoders
+  // GPX 1.0 has no <extensions>: its other-namespace point children are decoded instead
+  // The DOM nodes themselves are not kept on the point
+  let decodedExtensions;
+  if (schemaVersion === '1.1') {
+    decodedExtensions = decodeExtensions(getChildElement(pointElement, 'extensions'));
+  } else {
+    const extensionElements = [];
+    const extensionsElement = getChildElement(pointElement, 'extensions');
+    if (extensionsElement) {
+      extensionElements.push(...extensionsElement.children);
+    }
+    for (let i = 0; i < pointElement.children.length; i++) {
+      if ((pointElement.children[i].namespaceURI || null) !== (pointElement.namespaceURI || null)) {
+        extensionElements.push(pointElement.children[i]);
+      }
+    }
+    decodedExtensions = decodeExtensionElements(extensionElements);
+  }
   
   return {
     valid: true,
     point: {
       index: index,
       pointType: pointType, // 'wpt', 'rtept', or 'trkpt'
+      trackIndex: trackIndex,     // Ordinal of parent <trk>, or null
+      segmentIndex: segmentIndex, // Ordinal of parent <trkseg> within its <trk>, or null
+      routeIndex: routeIndex,     // Ordinal of parent <rte>, or null
       lat: lat,
       lon: lon,
+      latRaw: rawLat.trim(),      // Trimmed lat attribute text (decimal places as written)
+      lonRaw: rawLon.trim(),      // Trimmed lon attribute text
       ele: elevation,
+      eleRaw: eleRaw,             // Trimmed <ele> text, or null if absent / empty
       timeRaw: timeRaw,
-      extensions: extensions  // Preserved DOM node, not parsed
+      sat: fixQuality.values.sat,                     // Number of satellites, or null
+      hdop: fixQuality.values.hdop,                   // Horizontal dilution of precision, or null
+      vdop: fixQuality.values.vdop,                   // Vertical dilution of precision, or null
+      pdop: fixQuality.values.pdop,                   // Position dilution of precision, or null
+      fix: fixQuality.values.fix,                     // 'none' | '2d' | '3d' | 'dgps' | 'pps', or null
+      magvar: fixQuality.values.magvar,               // Magnetic variation in degrees, or null
+      geoidheight: fixQuality.values.geoidheight,     // Geoid height above WGS84 ellipsoid in meters, or null
+      ageofdgpsdata: fixQuality.values.ageofdgpsdata, // Seconds since last DGPS update, or null
+      speed: fixQuality.values.speed,                 // Speed in m/s (GPX 1.0), or null
+      course: fixQuality.values.course,               // Course in degrees (GPX 1.0), or null
+      sensors: decodedExtensions.channels // Sensor channel → number|null, decoded from <extensions>
     },
     rejectionReason: null,
-    rawData: null
+    rejectionCodes: null,
+    rawData: null,
+    fixQualityStatus: fixQuality.status,
+    extensionNamespaces: {
+      recognised: decodedExtensions.recognisedNamespaces,
+      unrecognised: decodedExtensions.unrecognisedNamespaces
+    },
+    nonSchemaElements: findNonSchemaPointChildren(pointElement, schemaVersion)
+  };
+}
+
+/**
+ * Builds the rejection result of a point element that is rejected for its place in the document
+ * structure; its coordinates are kept as raw text but not checked
+ * @param {Element} pointElement - The point XML element
+ * @param {number} index - Index of the point
+ * @param {string} pointType - Type of point: 'wpt', 'rtept', or 'trkpt'
+ * @param {Object} context - Structural position of the point: {trackIndex, segmentIndex, routeIndex}
+ * @param {string} code - Structural code from REJECTION_CODES
+ * @returns {Object} Rejection result with the same shape as parsePointElement's
+ */
+function rejectPointElement(pointElement, index, pointType, context, code) {
+  const eleElement = getChildElement(pointElement, 'ele');
+  const timeElement = getChildElement(pointElement, 'time');
+  const rawData = {
+    pointType: pointType,
+    index: index,
+    trackIndex: context.trackIndex !== undefined ? context.trackIndex : null,
+    segmentIndex: context.segmentIndex !== undefined ? context.segmentIndex : null,
+    routeIndex: context.routeIndex !== undefined ? context.routeIndex : null,
+    lat: pointElement.getAttribute('lat'),
+    lon: pointElement.getAttribute('lon'),
+    ele: eleElement ? eleElement.textContent : null,
+    time: timeElement ? timeElement.textContent.trim() : null
+  };
+  return {
+    valid: false,
+    point: null,
+    rejectionReason: describeRejection([code], rawData),
+    rejectionCodes: [code],
+    rawData: rawData
   };
 }
 
@@ -93,7 +381,7 @@ function parsePointElement(pointElement, index, pointType) {
  * Parses a GPX XML string and extracts all point types (wpt, rtept, trkpt)
  * Pure ingestion: no cleaning, smoothing, or data transformation
  * @param {string} gpxString - The GPX file content as a string
- * @returns {Object} Object containing points array and statistics
+ * @returns {Object} Object containing detected schema, document info, points array, tracks and routes hierarchy, and statistics
  */
 function parseGPX(gpxString) {
   const parser = new DOMParser();
@@ -105,18 +393,88 @@ function parseGPX(gpxString) {
     throw new Error('GPX parsing error: ' + parseError.textContent);
   }
   
+  // Core elements are resolved in the root namespace; the detected version decides which
+  // elements belong to the schema (e.g. <speed> / <course> on points are GPX 1.0 only)
+  const gpxElement = xmlDoc.documentElement;
+  const schema = detectGPXSchema(gpxElement);
+  
   const points = [];
   let globalIndex = 0;
   let totalPointsFound = 0;
   let pointsDiscarded = 0;
   let firstRejectionLogged = false;
   const rejectedCoordinates = [];
+  const typeOrdinals = { wpt: 0, rtept: 0, trkpt: 0 };
+  
+  // Presence / unparsable counters for fix-quality fields of kept points
+  const fixQualityFieldCounts = {};
+  FIX_QUALITY_FIELDS.forEach((field) => {
+    fixQualityFieldCounts[field.name] = { present: 0, unparsable: 0 };
+  });
+  
+  // Presence / unparsable counters for decoded sensor channels of kept points
+  const sensorChannelCounts = {};
+  // Extension namespaces seen on kept points: recognised (with decoder) and unrecognised, with point counts
+  const recognisedExtensionNamespaces = {};
+  const unrecognisedExtensionNamespaces = {};
+  // Non-schema point children of kept points, keyed by point type and qualified name
+  const nonSchemaElements = {};
   
   // Helper function to process a point and track rejections
-  const processPoint = (pointElement, pointType) => {
-    const result = parsePointElement(pointElement, globalIndex++, pointType);
+  // Returns true if the point was kept
+  // A structural code rejects the point without parsing it (it is not part of any sequence)
+  const processPoint = (pointElement, pointType, context, structuralCode = null) => {
+    // Ordinal among elements of the same type, used to locate the element in the source text
+    const typeOrdinal = typeOrdinals[pointType]++;
+    const result = structuralCode === null
+      ? parsePointElement(pointElement, globalIndex++, pointType, context, schema.version)
+      : rejectPointElement(pointElement, globalIndex++, pointType, context, structuralCode);
     if (result.valid) {
       points.push(result.point);
+      FIX_QUALITY_FIELDS.forEach((field) => {
+        const status = result.fixQualityStatus[field.name];
+        if (status === 'present') {
+          fixQualityFieldCounts[field.name].present++;
+        } else if (status === 'unparsable') {
+          fixQualityFieldCounts[field.name].unparsable++;
+        }
+      });
+      const sensors = result.point.sensors;
+      Object.keys(sensors).forEach((channel) => {
+        if (!sensorChannelCounts[channel]) {
+          sensorChannelCounts[channel] = { present: 0, unparsable: 0 };
+        }
+        if (sensors[channel] === null) {
+          sensorChannelCounts[channel].unparsable++;
+        } else {
+          sensorChannelCounts[channel].present++;
+        }
+      });
+      result.extensionNamespaces.recognised.forEach((r) => {
+        if (!recognisedExtensionNamespaces[r.namespaceURI]) {
+          recognisedExtensionNamespaces[r.namespaceURI] = { decoderId: r.decoderId, pointCount: 0 };
+        }
+        recognisedExtensionNamespaces[r.namespaceURI].pointCount++;
+      });
+      result.extensionNamespaces.unrecognised.forEach((namespaceURI) => {
+        unrecognisedExtensionNamespaces[namespaceURI] = (unrecognisedExtensionNamespaces[namespaceURI] || 0) + 1;
+      });
+      result.nonSchemaElements.forEach((element) => {
+        const qualifiedName = element.namespaceURI === schema.namespaceURI
+          ? element.localName
+          : '{' + (element.namespaceURI || '') + '}' + element.localName;
+        const key = pointType + '/' + qualifiedName;
+        if (!nonSchemaElements[key]) {
+          nonSchemaElements[key] = {
+            pointType: pointType,
+            namespaceURI: element.namespaceURI,
+            localName: element.localName,
+            pointCount: 0
+          };
+        }
+        nonSchemaElements[key].pointCount++;
+      });
+      return true;
     } else {
       pointsDiscarded++;
       // Log the first rejected point
@@ -125,56 +483,410 @@ function parseGPX(gpxString) {
         // console.log('Rejection reason:', result.rejectionReason);
         firstRejectionLogged = true;
       }
-      // Collect all rejected coordinates for flagged events
+      // Collect all rejected coordinates for flagged events and the rejections export
+      // line / column are resolved from the source text once all points are processed
       rejectedCoordinates.push({
         index: result.rawData.index,
-        reason: result.rejectionReason
+        pointType: pointType,
+        trackIndex: result.rawData.trackIndex,
+        segmentIndex: result.rawData.segmentIndex,
+        routeIndex: result.rawData.routeIndex,
+        codes: result.rejectionCodes,
+        reason: result.rejectionReason,
+        raw: {
+          lat: result.rawData.lat,
+          lon: result.rawData.lon,
+          ele: result.rawData.ele,
+          time: result.rawData.time
+        },
+        line: null,
+        column: null,
+        typeOrdinal: typeOrdinal
       });
+      return false;
     }
   };
   
+  // Helper function to process the points of one container (<rte> or <trkseg>)
+  // Returns the container's point summary: found vs kept, and the index range of kept points
+  const processContainerPoints = (pointElements, pointType, context) => {
+    let pointCount = 0;
+    let firstIndex = null;
+    let lastIndex = null;
+    pointElements.forEach((pointElement) => {
+      const index = globalIndex;
+      if (processPoint(pointElement, pointType, context)) {
+        pointCount++;
+        if (firstIndex === null) {
+          firstIndex = index;
+        }
+        lastIndex = index;
+      }
+    });
+    return {
+      pointsFound: pointElements.length,
+      pointCount: pointCount,
+      firstIndex: firstIndex,
+      lastIndex: lastIndex
+    };
+  };
+  
   // Extract all <wpt> elements (waypoints) - standalone points
-  const waypoints = xmlDoc.querySelectorAll('wpt');
+  const waypoints = getChildElements(gpxElement, 'wpt');
   totalPointsFound += waypoints.length;
   waypoints.forEach((wpt) => {
-    processPoint(wpt, 'wpt');
+    processPoint(wpt, 'wpt', {});
   });
   
   // Extract all <rtept> elements (route points) - points within routes
-  const routePoints = xmlDoc.querySelectorAll('rtept');
-  totalPointsFound += routePoints.length;
-  routePoints.forEach((rtept) => {
-    processPoint(rtept, 'rtept');
+  // Each route keeps its ordinal so downstream audits do not pair points across routes
+  const routes = [];
+  const routeElements = getChildElements(gpxElement, 'rte');
+  routeElements.forEach((rte, routeIndex) => {
+    const routePoints = getChildElements(rte, 'rtept');
+    totalPointsFound += routePoints.length;
+    const summary = processContainerPoints(routePoints, 'rtept', { routeIndex: routeIndex });
+    routes.push({
+      index: routeIndex,
+      name: getChildText(rte, 'name'),
+      type: getChildText(rte, 'type'),
+      number: parseGPXNumber(getChildText(rte, 'number')),
+      pointsFound: summary.pointsFound,
+      pointCount: summary.pointCount,
+      firstIndex: summary.firstIndex,
+      lastIndex: summary.lastIndex
+    });
   });
   
-  // Extract all <trkpt> elements (track points) - points within tracks
-  const trackPoints = xmlDoc.querySelectorAll('trkpt');
-  totalPointsFound += trackPoints.length;
-  trackPoints.forEach((trkpt) => {
-    processPoint(trkpt, 'trkpt');
+  // Extract all <trkpt> elements (track points) - points within track segments
+  // Each point keeps its track and segment ordinals; segments are separate recording sequences
+  // A <trkpt> directly under <trk> belongs to no segment: it is counted and rejected, in document order
+  const tracks = [];
+  const trackElements = getChildElements(gpxElement, 'trk');
+  trackElements.forEach((trk, trackIndex) => {
+    const segments = [];
+    let pointsOutsideSegments = 0;
+    const trackChildren = Array.prototype.filter.call(trk.children, child =>
+      (child.localName === 'trkseg' || child.localName === 'trkpt') &&
+      (child.namespaceURI || null) === (trk.namespaceURI || null));
+    trackChildren.forEach((child) => {
+      if (child.localName === 'trkpt') {
+        totalPointsFound++;
+        pointsOutsideSegments++;
+        processPoint(child, 'trkpt', { trackIndex: trackIndex }, REJECTION_CODES.TRKPT_OUTSIDE_TRKSEG);
+        return;
+      }
+      const trkseg = child;
+      const segmentIndex = segments.length;
+      const trackPoints = getChildElements(trkseg, 'trkpt');
+      totalPointsFound += trackPoints.length;
+      const summary = processContainerPoints(trackPoints, 'trkpt', {
+        trackIndex: trackIndex,
+        segmentIndex: segmentIndex
+      });
+      segments.push({
+        index: segmentIndex,
+        pointsFound: summary.pointsFound,
+        pointCount: summary.pointCount,
+        firstIndex: summary.firstIndex,
+        lastIndex: summary.lastIndex
+      });
+    });
+    tracks.push({
+      index: trackIndex,
+      name: getChildText(trk, 'name'),
+      type: getChildText(trk, 'type'),
+      number: parseGPXNumber(getChildText(trk, 'number')),
+      segments: segments,
+      pointsOutsideSegments: pointsOutsideSegments
+    });
+  });
+  
+  // Source positions of rejected points (only when the source scan matches the parsed element counts)
+  // A point type whose counts differ is reported, so missing positions are never silent
+  let rejectionPositionsAvailable = null;
+  const rejectionPositionMismatches = [];
+  if (rejectedCoordinates.length > 0) {
+    const locations = locatePointElements(gpxString);
+    rejectedCoordinates.forEach((rejection) => {
+      const typeLocations = locations[rejection.pointType];
+      if (typeLocations.length === typeOrdinals[rejection.pointType]) {
+        rejection.line = typeLocations[rejection.typeOrdinal].line;
+        rejection.column = typeLocations[rejection.typeOrdinal].column;
+      } else if (!rejectionPositionMismatches.some(m => m.pointType === rejection.pointType)) {
+        rejectionPositionMismatches.push({
+          pointType: rejection.pointType,
+          tagsFound: typeLocations.length,
+          elementsParsed: typeOrdinals[rejection.pointType]
+        });
+      }
+    });
+    rejectionPositionsAvailable = rejectionPositionMismatches.length === 0;
+  }
+  rejectedCoordinates.forEach((rejection) => {
+    delete rejection.typeOrdinal;
   });
   
-  // Return object with points array and statistics
+  // Return object with schema, document info, points array, structural hierarchy and statistics
   return {
+    schema: schema,
+    document: parseDocumentInfo(gpxElement),
     points: points,
+    tracks: tracks,
+    routes: routes,
     stats: {
       totalPointsFound: totalPointsFound,
       pointsDiscarded: pointsDiscarded,
       remainingPoints: points.length,
-      rejectedCoordinates: rejectedCoordinates
+      rejectedCoordinates: rejectedCoordinates,
+      rejectionPositionsAvailable: rejectionPositionsAvailable,
+      rejectionPositionMismatches: rejectionPositionMismatches,
+      trackCount: tracks.length,
+      trackSegmentCount: tracks.reduce((sum, trk) => sum + trk.segments.length, 0),
+      routeCount: routes.length,
+      fixQualityFieldCounts: fixQualityFieldCounts,
+      sensorChannelCounts: sensorChannelCounts,
+      extensionNamespaces: {
+        recognised: recognisedExtensionNamespaces,
+        unrecognised: unrecognisedExtensionNamespaces
+      },
+      nonSchemaElements: nonSchemaElements
+    }
+  };
+}
+
+/**
+ * Parses the root <gpx> attributes and the document-level metadata
+ * GPX 1.1 keeps metadata in a <metadata> child; GPX 1.0 places the same fields
+ * (name, desc, author, email, url, urlname, time, keywords, bounds) directly under <gpx>
+ * Values are preserved as found: times stay raw strings, missing fields are null
+ * @param {Element} gpxElement - The root <gpx> element
+ * @returns {Object} Document info with version, creator, namespaceURI and metadata
+ */
+function parseDocumentInfo(gpxElement) {
+  const metadataElement = getChildElement(gpxElement, 'metadata');
+  const source = metadataElement || gpxElement;
+  
+  // Links: GPX 1.1 <link href><text/><type/></link>; GPX 1.0 <url> + <urlname>
+  const parseLink = (linkElement) => ({
+    href: linkElement.getAttribute('href'),
+    text: getChildText(linkElement, 'text'),
+    type: getChildText(linkElement, 'type')
+  });
+  const links = getChildElements(source, 'link').map(parseLink);
+  const url = getChildText(source, 'url');
+  if (url !== null) {
+    links.push({ href: url, text: getChildText(source, 'urlname'), type: null });
+  }
+  
+  // Author: GPX 1.1 personType (<name>, <email id domain>, <link>); GPX 1.0 <author> text + <email> text
+  let author = null;
+  const authorElement = getChildElement(source, 'author');
+  if (authorElement && authorElement.children.length > 0) {
+    const emailElement = getChildElement(authorElement, 'email');
+    const authorLink = getChildElement(authorElement, 'link');
+    author = {
+      name: getChildText(authorElement, 'name'),
+      email: emailElement && emailElement.getAttribute('id') && emailElement.getAttribute('domain')
+        ? emailElement.getAttribute('id') + '@' + emailElement.getAttribute('domain')
+        : null,
+      link: authorLink ? parseLink(authorLink) : null
+    };
+  } else if (authorElement || getChildText(source, 'email') !== null) {
+    author = {
+      name: authorElement ? (authorElement.textContent.trim() || null) : null,
+      email: getChildText(source, 'email'),
+      link: null
+    };
+  }
+  
+  // Declared bounds: attributes kept as numbers, null when missing or not numeric
+  let bounds = null;
+  const boundsElement = getChildElement(source, 'bounds');
+  if (boundsElement) {
+    const readBound = (name) => {
+      const value = parseFloat(boundsElement.getAttribute(name));
+      return isFinite(value) ? value : null;
+    };
+    bounds = {
+      minlat: readBound('minlat'),
+      minlon: readBound('minlon'),
+      maxlat: readBound('maxlat'),
+      maxlon: readBound('maxlon')
+    };
+  }
+  
+  return {
+    version: gpxElement.getAttribute('version'),
+    creator: gpxElement.getAttribute('creator'),
+    namespaceURI: gpxElement.namespaceURI || null,
+    hasMetadataElement: metadataElement !== null,
+    metadata: {
+      name: getChildText(source, 'name'),
+      desc: getChildText(source, 'desc'),
+      timeRaw: getChildText(source, 'time'),
+      keywords: getChildText(source, 'keywords'),
+      author: author,
+      links: links,
+      bounds: bounds
     }
   };
 }
 
 /**
- * Helper function to safely get text content from XML elements
+ * Locates the start tags of point elements in the GPX source text
+ * DOMParser keeps no source positions, so start tags are found by a text scan
+ * Comments and CDATA sections are blanked first (keeping offsets) so they cannot match
+ * @param {string} gpxString - The GPX file content as a string
+ * @returns {Object} Point type → Array<{line, column}> (1-based) in document order
+ */
+function locatePointElements(gpxString) {
+  const blanked = gpxString.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g,
+    match => match.replace(/[^\n]/g, ' '));
+  const locations = { wpt: [], rtept: [], trkpt: [] };
+  const tagPattern = /<(?:[A-Za-z_][\w.-]*:)?(wpt|rtept|trkpt)[\s/>]/g;
+  let line = 1;
+  let lineStart = 0;
+  let scanned = 0;
+  let match;
+  while ((match = tagPattern.exec(blanked)) !== null) {
+    // Advance the line counter up to this match
+    for (let i = scanned; i < match.index; i++) {
+      if (blanked.charCodeAt(i) === 10) {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    scanned = match.index;
+    locations[match[1]].push({ line: line, column: match.index - lineStart + 1 });
+  }
+  return locations;
+}
+
+/**
+ * Exports the rejected point records to a JSON file
+ * @param {Array<Object>} rejectedCoordinates - Rejection records from parseGPX stats
+ * @param {string} filename - Filename for download
+ */
+function exportRejectionsJSON(rejectedCoordinates, filename) {
+  const exportPayload = {
+    rejections: rejectedCoordinates,
+    count: rejectedCoordinates.length
+  };
+  
+  const jsonString = JSON.stringify(exportPayload, null, 2);
+  const blob = new Blob([jsonString], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Checks whether two points belong to the same recording sequence
+ * A sequence is one <trkseg>, one <rte>, or the set of all <wpt> elements
+ * Consecutive points from different sequences must not be compared by audits
+ * @param {Object} a - Point object with pointType, trackIndex, segmentIndex, routeIndex
+ * @param {Object} b - Point object with pointType, trackIndex, segmentIndex, routeIndex
+ * @returns {boolean} True if both points belong to the same sequence
+ */
+function isSameSequence(a, b) {
+  return a.pointType === b.pointType &&
+    a.trackIndex === b.trackIndex &&
+    a.segmentIndex === b.segmentIndex &&
+    a.routeIndex === b.routeIndex;
+}
+
+/**
+ * Point streams in priority order; audits run on each stream independently
+ * trkpt is the primary stream (recorded tracks); rtept and wpt are planned / standalone points
+ */
+const POINT_STREAM_TYPES = ['trkpt', 'rtept', 'wpt'];
+
+/**
+ * Splits a points array into one stream per point type
+ * Waypoints, route points and track points are different kinds of data; pairing the last
+ * waypoint with the first track point produces meaningless time and distance deltas
+ * @param {Array} points - Array of point objects with pointType property
+ * @returns {Object} Object keyed by point type ('trkpt', 'rtept', 'wpt'), each an array of points in original order
+ */
+function splitPointStreams(points) {
+  const streams = {};
+  POINT_STREAM_TYPES.forEach((pointType) => {
+    streams[pointType] = [];
+  });
+  points.forEach((point) => {
+    if (streams[point.pointType]) {
+      streams[point.pointType].push(point);
+    }
+  });
+  return streams;
+}
+
+/**
+ * Helper function to get the direct child elements with a given local name and namespace
+ * Unlike a descendant selector, this does not match elements nested in child points
+ * or inside <extensions> (e.g. a <trk>'s <name> vs. a <trkpt>'s <name>), nor
+ * same-named elements from another namespace
+ * @param {Element} parent - Parent XML element
+ * @param {string} tagName - Local name of the child element
+ * @param {string|null} [namespaceURI] - Namespace of the child; defaults to the parent's namespace
+ * @returns {Array<Element>} Matching child elements in document order
+ */
+function getChildElements(parent, tagName, namespaceURI) {
+  const namespace = namespaceURI !== undefined ? namespaceURI : (parent.namespaceURI || null);
+  const matches = [];
+  for (let i = 0; i < parent.children.length; i++) {
+    const child = parent.children[i];
+    if (child.localName === tagName && (child.namespaceURI || null) === namespace) {
+      matches.push(child);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Helper function to get the first direct child element with a given local name and namespace
+ * @param {Element} parent - Parent XML element
+ * @param {string} tagName - Local name of the child element
+ * @param {string|null} [namespaceURI] - Namespace of the child; defaults to the parent's namespace
+ * @returns {Element|null} Child element, or null if absent
+ */
+function getChildElement(parent, tagName, namespaceURI) {
+  const matches = getChildElements(parent, tagName, namespaceURI);
+  return matches.length > 0 ? matches[0] : null;
+}
+
+/**
+ * Helper function to get the trimmed text of a direct child element
  * @param {Element} parent - Parent XML element
- * @param {string} selector - CSS selector for the child element
- * @returns {string|null} Text content or null if not found
+ * @param {string} tagName - Local name of the child element
+ * @param {string|null} [namespaceURI] - Namespace of the child; defaults to the parent's namespace
+ * @returns {string|null} Text content, or null if the child is absent or empty
+ */
+function getChildText(parent, tagName, namespaceURI) {
+  const child = getChildElement(parent, tagName, namespaceURI);
+  if (!child) {
+    return null;
+  }
+  const text = child.textContent.trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Parses the GPX <number> element (xsd:nonNegativeInteger)
+ * @param {string|null} text - Raw text of the element
+ * @returns {number|null} Parsed integer, or null if absent or not a non-negative integer
  */
-function getTextContent(parent, selector) {
-  const element = parent.querySelector(selector);
-  return element ? element.textContent.trim() : null;
+function parseGPXNumber(text) {
+  if (text === null || !/^\d+$/.test(text)) {
+    return null;
+  }
+  return parseInt(text, 10);
 }
 
 /**
@@ -0,0 +1,117 @@
+/**
+ * Heading Audit Module
+ * Observational audit pass for the bearing of each segment and the turn angle at each vertex
+ * Flags spike vertices, where the track goes out and comes straight back over a short leg
+ * Does NOT remove, smooth, or correct points
+ */
+
+/**
+ * Calculates the initial bearing (forward azimuth) from one point to another on a sphere
+ * @param {number} lat1 - Latitude of first point in degrees
+ * @param {number} lon1 - Longitude of first point in degrees
+ * @param {number} lat2 - Latitude of second point in degrees
+ * @param {number} lon2 - Longitude of second point in degrees
+ * @returns {number} Bearing in degrees clockwise from north, in [0, 360)
+ */
+function initialBearing(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const phi1 = lat1 * toRad;
+  const phi2 = lat2 * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  const bearing = Math.atan2(y, x) / toRad;
+
+  return (bearing + 360) % 360;
+}
+
+/**
+ * Audits segment bearings and vertex turn angles of the geometry pairs of one point stream
+ * Turns are formed only for two pairs that share their middle point, so they never cross
+ * a sequence boundary or a zero-distance pair (which has no bearing)
+ * @param {Array} points - Array of point objects with index, lat, lon (the stream the pairs came from)
+ * @param {Array<{index: number, prevIndex: number, distanceM: number}>} geometryPairs - Pairs from auditSampling
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.spikeTurnDeg=150] - Absolute turn angle (degrees) at or above which a vertex can be a spike
+ * @param {number} [options.spikeMaxLegM=50] - Maximum length (meters) of the shorter leg of a spike vertex
+ * @returns {Object} Audit metadata object with per-pair bearings, per-vertex turns and spike events
+ */
+function auditHeading(points, geometryPairs, options = {}) {
+  const spikeTurnDeg = options.spikeTurnDeg !== undefined ? options.spikeTurnDeg : 150;
+  const spikeMaxLegM = options.spikeMaxLegM !== undefined ? options.spikeMaxLegM : 50;
+
+  // Coordinates are looked up by ingestion index
+  const pointsByIndex = new Map();
+  points.forEach((point) => {
+    pointsByIndex.set(point.index, point);
+  });
+
+  const pairs = geometryPairs || [];
+  const bearings = [];
+  const turns = [];
+  const spikeEvents = [];
+
+  let previous = null; // Previous bearing entry, used when it ends at the current pair's start
+  pairs.forEach((pair) => {
+    const from = pointsByIndex.get(pair.prevIndex);
+    const to = pointsByIndex.get(pair.index);
+    if (!from || !to) {
+      previous = null;
+      return;
+    }
+    const entry = {
+      index: pair.index,
+      prevIndex: pair.prevIndex,
+      distanceM: pair.distanceM,
+      bearingDeg: initialBearing(from.lat, from.lon, to.lat, to.lon)
+    };
+    bearings.push(entry);
+
+    // Signed turn at the shared middle point, in (-180, 180]; positive turns right
+    if (previous !== null && previous.index === pair.prevIndex) {
+      let turnDeg = entry.bearingDeg - previous.bearingDeg;
+      if (turnDeg > 180) {
+        turnDeg -= 360;
+      } else if (turnDeg <= -180) {
+        turnDeg += 360;
+      }
+      turns.push({
+        index: pair.prevIndex,
+        prevIndex: previous.prevIndex,
+        nextIndex: pair.index,
+        turnDeg: turnDeg
+      });
+
+      if (Math.abs(turnDeg) >= spikeTurnDeg && Math.min(previous.distanceM, pair.distanceM) <= spikeMaxLegM) {
+        spikeEvents.push({
+          index: pair.prevIndex,
+          prevIndex: previous.prevIndex,
+          nextIndex: pair.index,
+          turnDeg: turnDeg,
+          inLegM: previous.distanceM,
+          outLegM: pair.distanceM,
+          lat: from.lat,
+          lon: from.lon
+        });
+      }
+    }
+
+    previous = entry;
+  });
+
+  // Summary statistics
+  const medianAbsTurnDeg = medianOf(turns.map(t => Math.abs(t.turnDeg)));
+
+  return {
+    pairCount: pairs.length,
+    spikeTurnDeg: spikeTurnDeg,
+    spikeMaxLegM: spikeMaxLegM,
+    bearings: bearings,
+    turns: turns,
+    medianAbsTurnDeg: medianAbsTurnDeg,
+    reversalCount: turns.filter(t => Math.abs(t.turnDeg) >= spikeTurnDeg).length,
+    spikeCount: spikeEvents.length,
+    spikeEvents: spikeEvents
+  };
+}
@@ -21,12 +21,14 @@
  * @param {Array<number>} data - Array of positive, finite values (linear space)
  * @param {number} bandwidth - Bandwidth parameter (h) in log space
  * @param {number} numPoints - Number of evaluation points for KDE curve
+ * @param {Array<number>|null} [rangeLog=null] - Evaluation grid [min, max] in log space; null for the data range
+ *   (used to evaluate several series on one common grid)
  * @returns {Array<{xLog: number, xLinear: number, y: number}>} KDE curve points
  *   - xLog: x position in log space (for rendering)
  *   - xLinear: x position in linear space (for display/tooltips)
  *   - y: density value
  */
-function computeKDE(data, bandwidth, numPoints = 200) {
+function computeKDE(data, bandwidth, numPoints = 200, rangeLog = null) {
   // Filter to only positive, finite values (as per requirements)
   const validData = data.filter(d => d > 0 && isFinite(d));
   
@@ -40,9 +42,9 @@ function computeKDE(data, bandwidth, numPoints = 200) {
   const minLog = Math.min(...validDataLog);
   const maxLog = Math.max(...validDataLog);
   
-  // KDE evaluation grid spans exactly [min(log(data)), max(log(data))] - no padding
-  const xMinLog = minLog;
-  const xMaxLog = maxLog;
+  // KDE evaluation grid spans exactly [min(log(data)), max(log(data))] - no padding - unless a range is given
+  const xMinLog = rangeLog ? rangeLog[0] : minLog;
+  const xMaxLog = rangeLog ? rangeLog[1] : maxLog;
   
   const kdePoints = [];
   const n = validDataLog.length;
@@ -74,12 +76,107 @@ function computeKDE(data, bandwidth, numPoints = 200) {
   return kdePoints;
 }
 
+/**
+ * Computes Kernel Density Estimate using Gaussian kernel in linear space
+ * 
+ * Variant of computeKDE for signed data (e.g. vertical deltas), where a log transform is not possible
+ * Same kernel; the grid spans [min(data) - 3h, max(data) + 3h], so constant data (e.g. all vertical
+ * deltas 0 on a flat track) still has a grid of non-zero width with the kernel's full shape on it
+ * 
+ * @param {Array<number>} data - Array of finite values (any sign, zero included)
+ * @param {number} bandwidth - Bandwidth parameter (h) in data units
+ * @param {number} numPoints - Number of evaluation points for KDE curve
+ * @returns {Array<{xLinear: number, y: number}>} KDE curve points
+ *   - xLinear: x position in linear space (for rendering and display)
+ *   - y: density value
+ */
+function computeSignedKDE(data, bandwidth, numPoints = 200) {
+  const validData = data.filter(d => isFinite(d));
+  
+  if (validData.length === 0) {
+    return [];
+  }
+  
+  const kdePoints = [];
+  const n = validData.length;
+  const h = bandwidth;
+  
+  // Evaluation grid padded by three bandwidths on each side
+  const xMin = Math.min(...validData) - 3 * h;
+  const xMax = Math.max(...validData) + 3 * h;
+  
+  // Pre-compute normalization constant: 1/(n * h * √(2π))
+  const normalization = 1 / (n * h * Math.sqrt(2 * Math.PI));
+  
+  for (let i = 0; i < numPoints; i++) {
+    const x = xMin + (xMax - xMin) * (i / (numPoints - 1));
+    
+    let density = 0;
+    for (let j = 0; j < n; j++) {
+      const u = (x - validData[j]) / h;
+      density += Math.exp(-0.5 * u * u);
+    }
+    
+    kdePoints.push({ xLinear: x, y: density * normalization });
+  }
+  
+  return kdePoints;
+}
+
+/**
+ * Computes a circular Kernel Density Estimate of angles using a wrapped Gaussian kernel
+ * 
+ * The kernel is wrapped once in each direction (±360°), so density near -180° and +180° is the same
+ * Evaluates on a fixed grid over [-180°, 180°] in linear space (no log transform)
+ * 
+ * @param {Array<number>} anglesDeg - Array of finite angles in degrees (any range; wrapped to (-180, 180])
+ * @param {number} bandwidthDeg - Bandwidth parameter (h) in degrees
+ * @param {number} numPoints - Number of evaluation points for KDE curve
+ * @returns {Array<{xLinear: number, y: number}>} KDE curve points (density per degree)
+ *   - xLinear: angle in degrees (for rendering and display)
+ *   - y: density value
+ */
+function computeCircularKDE(anglesDeg, bandwidthDeg, numPoints = 361) {
+  const validData = anglesDeg.filter(d => isFinite(d)).map(d => {
+    const wrapped = ((d % 360) + 360) % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+  });
+  
+  if (validData.length === 0) {
+    return [];
+  }
+  
+  const kdePoints = [];
+  const n = validData.length;
+  const h = bandwidthDeg;
+  
+  // Pre-compute normalization constant: 1/(n * h * √(2π))
+  const normalization = 1 / (n * h * Math.sqrt(2 * Math.PI));
+  
+  for (let i = 0; i < numPoints; i++) {
+    const x = -180 + 360 * (i / (numPoints - 1));
+    
+    let density = 0;
+    for (let j = 0; j < n; j++) {
+      for (let k = -1; k <= 1; k++) {
+        const u = (x - validData[j] + 360 * k) / h;
+        density += Math.exp(-0.5 * u * u);
+      }
+    }
+    
+    kdePoints.push({ xLinear: x, y: density * normalization });
+  }
+  
+  return kdePoints;
+}
+
 /**
  * Detects local maxima (peaks) in KDE curve
  * A peak is a point where y[i] > y[i-1] && y[i] > y[i+1]
  * 
- * @param {Array<{xLog: number, xLinear: number, y: number}>} kdePoints - KDE curve points (in log space)
- * @returns {Array<{xLog: number, xLinear: number, y: number}>} Peak locations
+ * @param {Array<{xLog: number, xLinear: number, y: number}>} kdePoints - KDE curve points (log space, or linear
+ *   space with xLinear only when computed by computeSignedKDE)
+ * @returns {Array<{xLog: number, xLinear: number, y: number}>} Peak locations (same fields as kdePoints)
  */
 function detectPeaks(kdePoints) {
   if (kdePoints.length < 3) {
@@ -96,18 +193,47 @@ function detectPeaks(kdePoints) {
     
     // Local maximum: current y is greater than both neighbors
     if (curr.y > prev.y && curr.y > next.y) {
-      peaks.push({ xLog: curr.xLog, xLinear: curr.xLinear, y: curr.y });
+      peaks.push(Object.assign({}, curr));
     }
   }
   
   return peaks;
 }
 
+/**
+ * Finds the dominant peak of the log-space KDE of a data series
+ * The dominant peak is the highest point of the KDE curve (the same rule as which.max(density$y)
+ * in timeDeltaObservation.R), so it may lie at the edge of the evaluation grid
+ * 
+ * @param {Array<number>} data - Array of values in linear space (non-positive and non-finite values are ignored)
+ * @param {number|null} [bandwidthLog=null] - Bandwidth in log space; null for the rule-of-thumb bandwidth
+ *   used by visualizeSamplingData (1.06 · sd(log x) · n^-0.2, sd of 1 when undefined)
+ * @returns {{xLog: number, xLinear: number, y: number}|null} Dominant peak, or null when there is no valid data
+ */
+function findDominantPeak(data, bandwidthLog = null) {
+  const validLog = data.filter(d => d > 0 && isFinite(d)).map(d => Math.log(d));
+  if (validLog.length === 0) {
+    return null;
+  }
+  
+  let h = bandwidthLog;
+  if (h === null) {
+    const n = validLog.length;
+    const mean = validLog.reduce((sum, x) => sum + x, 0) / n;
+    const variance = n > 1 ? validLog.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / (n - 1) : 0;
+    h = 1.06 * (Math.sqrt(variance) || 1) * Math.pow(n, -0.2);
+  }
+  
+  const kdePoints = computeKDE(data, h);
+  return kdePoints.reduce((best, point) => point.y > best.y ? point : best, kdePoints[0]);
+}
+
 /**
  * Renders KDE plot with D3 using log-space x-axis
  * 
  * All geometry (KDE curve, rug ticks, peaks) uses log-space positions
  * Display values (tooltips, axis labels) show linear-space values
+ * In linear mode (signed data from computeSignedKDE) geometry and display both use linear values
  * 
  * @param {string} containerId - ID of container element
  * @param {Array<{xLog: number, xLinear: number, y: number}>} kdePoints - KDE curve points (in log space)
@@ -115,8 +241,12 @@ function detectPeaks(kdePoints) {
  * @param {Array<number>} rawData - Raw data array in linear space for rug plot overlay
  * @param {string} xLabel - X-axis label (will be modified to indicate log scale)
  * @param {string} title - Plot title
+ * @param {Object} [options] - Rendering options
+ *   - scale: 'log' (default) | 'linear'
+ *   - curves: Array<{label: string, kdePoints: Array}> - Additional curves drawn over the main curve, with a legend
+ *   - label: string - Legend label of the main curve when curves are given
  */
-function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
+function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title, options = {}) {
   const container = d3.select(`#${containerId}`);
   container.selectAll("*").remove();
   
@@ -125,8 +255,15 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
     return;
   }
   
-  // Transform raw data to log space for positioning
-  const rawDataLog = rawData ? rawData.filter(d => d > 0 && isFinite(d)).map(d => Math.log(d)) : [];
+  // Position accessors: log space by default, linear space for signed data
+  const isLinear = options.scale === 'linear';
+  const xPos = isLinear ? (d => d.xLinear) : (d => d.xLog);
+  const toDisplay = isLinear ? (v => v) : (v => Math.exp(v));
+  
+  // Transform raw data to log space for positioning (linear mode: finite values as they are)
+  const rawDataLog = rawData
+    ? (isLinear ? rawData.filter(d => isFinite(d)) : rawData.filter(d => d > 0 && isFinite(d)).map(d => Math.log(d)))
+    : [];
   
   const margin = { top: 40, right: 30, bottom: 60, left: 80 };
   const width = 800 - margin.left - margin.right;
@@ -147,8 +284,8 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
     .attr("height", height);
   
   // Domain derived from KDE points in log space
-  const xMinLog = d3.min(kdePoints, d => d.xLog);
-  const xMaxLog = d3.max(kdePoints, d => d.xLog);
+  const xMinLog = d3.min(kdePoints, xPos);
+  const xMaxLog = d3.max(kdePoints, xPos);
   const xDomainOriginal = [xMinLog, xMaxLog];
   const yDomainOriginal = [0, d3.max(kdePoints, d => d.y)];
   
@@ -169,7 +306,7 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
   
   // Line generator for KDE curve (uses xLog for positioning)
   const line = d3.line()
-    .x(d => xScale(d.xLog))
+    .x(d => xScale(xPos(d)))
     .y(d => yScale(d.y))
     .curve(d3.curveMonotoneX);
   
@@ -186,6 +323,15 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
     .attr("stroke", "steelblue")
     .attr("stroke-width", 2);
   
+  // Additional curves (e.g. one per sampling regime), coloured in order
+  const curves = options.curves || [];
+  const curveColor = (i) => d3.schemeCategory10[(i + 1) % d3.schemeCategory10.length];
+  const curvePaths = curves.map((curve, i) => plotGroup.append("path")
+    .datum(curve.kdePoints)
+    .attr("fill", "none")
+    .attr("stroke", curveColor(i))
+    .attr("stroke-width", 1.5));
+  
   const peaksGroup = plotGroup.append("g").attr("class", "peaks");
   
   const xAxis = g.append("g")
@@ -224,16 +370,17 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
     
     // Update KDE curve
     kdePath.attr("d", line);
+    curvePaths.forEach(path => path.attr("d", line));
     
     // Update peaks (use xLog for positioning)
     peaksGroup.selectAll("*").remove();
     peaks.forEach(peak => {
       // Only draw peaks that are within the current domain (log space)
-      if (peak.xLog >= xScale.domain()[0] && peak.xLog <= xScale.domain()[1] &&
+      if (xPos(peak) >= xScale.domain()[0] && xPos(peak) <= xScale.domain()[1] &&
           peak.y >= yScale.domain()[0] && peak.y <= yScale.domain()[1]) {
         peaksGroup.append("line")
-          .attr("x1", xScale(peak.xLog))
-          .attr("x2", xScale(peak.xLog))
+          .attr("x1", xScale(xPos(peak)))
+          .attr("x2", xScale(xPos(peak)))
           .attr("y1", yScale(peak.y))
           .attr("y2", height)
           .attr("stroke", "red")
@@ -242,7 +389,7 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
           .attr("opacity", 0.6);
         
         peaksGroup.append("circle")
-          .attr("cx", xScale(peak.xLog))
+          .attr("cx", xScale(xPos(peak)))
           .attr("cy", yScale(peak.y))
           .attr("r", 4)
           .attr("fill", "red");
@@ -255,7 +402,7 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
       .tickSizeOuter(0)
       .tickFormat(d => {
         // Convert log-space tick value back to linear for display
-        const linearValue = Math.exp(d);
+        const linearValue = toDisplay(d);
         return linearValue.toFixed(2);
       });
     xAxis.call(xAxisFormatter);
@@ -291,6 +438,29 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
     .style("font-weight", "bold")
     .text(title);
   
+  // Legend (only when additional curves are drawn)
+  if (curves.length > 0) {
+    const legend = g.append("g")
+      .attr("class", "legend")
+      .attr("transform", `translate(${width - 220},0)`);
+    const entries = [{ label: options.label || "all", color: "steelblue" }]
+      .concat(curves.map((curve, i) => ({ label: curve.label, color: curveColor(i) })));
+    entries.forEach((entry, i) => {
+      legend.append("line")
+        .attr("x1", 0)
+        .attr("x2", 16)
+        .attr("y1", i * 16 + 6)
+        .attr("y2", i * 16 + 6)
+        .attr("stroke", entry.color)
+        .attr("stroke-width", 2);
+      legend.append("text")
+        .attr("x", 22)
+        .attr("y", i * 16 + 10)
+        .style("font-size", "11px")
+        .text(entry.label);
+    });
+  }
+  
   // Tooltip for hover
   const tooltip = container.append("div")
     .style("position", "absolute")
@@ -348,9 +518,9 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
       
       // Find closest KDE point (compare in log space)
       let closest = kdePoints[0];
-      let minDist = Math.abs(kdePoints[0].xLog - xValueLog);
+      let minDist = Math.abs(xPos(kdePoints[0]) - xValueLog);
       for (let i = 1; i < kdePoints.length; i++) {
-        const dist = Math.abs(kdePoints[i].xLog - xValueLog);
+        const dist = Math.abs(xPos(kdePoints[i]) - xValueLog);
         if (dist < minDist) {
           minDist = dist;
           closest = kdePoints[i];
@@ -372,7 +542,7 @@ function renderKDEPlot(containerId, kdePoints, peaks, rawData, xLabel, title) {
 /**
  * Renders an empty chart with axes and a message (e.g. when valid timestamps not present).
  * @param {string} containerId - ID of container element
- * @param {string} chartType - "time-kde" | "distance-kde" | "scatter" for axis labels
+ * @param {string} chartType - "time-kde" | "distance-kde" | "vertical-kde" | "speed-kde" | "turn-kde" | "scatter" for axis labels
  * @param {string} message - Text to display
  */
 function renderEmptyChartWithMessage(containerId, chartType, message) {
@@ -440,6 +610,81 @@ function renderEmptyChartWithMessage(containerId, chartType, message) {
       .attr("fill", "#ffffff")
       .style("text-anchor", "middle")
       .text("Density");
+  } else if (chartType === "vertical-kde") {
+    const xScale = d3.scaleLinear().domain([-10, 10]).range([0, width]);
+    const yScale = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+    g.append("g")
+      .attr("transform", `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).tickFormat(d => d.toFixed(1)))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("g")
+      .call(d3.axisLeft(yScale))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("text")
+      .attr("x", width / 2)
+      .attr("y", height + 45)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Vertical Delta (meters)");
+    g.append("text")
+      .attr("transform", "rotate(-90)")
+      .attr("y", -50)
+      .attr("x", -height / 2)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Density");
+  } else if (chartType === "speed-kde") {
+    const xScale = d3.scaleLinear().domain([0.1, 100]).range([0, width]);
+    const yScale = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+    g.append("g")
+      .attr("transform", `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).tickFormat(d => d.toFixed(1)))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("g")
+      .call(d3.axisLeft(yScale))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("text")
+      .attr("x", width / 2)
+      .attr("y", height + 45)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Implied Speed (m/s)");
+    g.append("text")
+      .attr("transform", "rotate(-90)")
+      .attr("y", -50)
+      .attr("x", -height / 2)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Density");
+  } else if (chartType === "turn-kde") {
+    const xScale = d3.scaleLinear().domain([-180, 180]).range([0, width]);
+    const yScale = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+    g.append("g")
+      .attr("transform", `translate(0,${height})`)
+      .call(d3.axisBottom(xScale))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("g")
+      .call(d3.axisLeft(yScale))
+      .attr("stroke", "#ffffff")
+      .attr("color", "#ffffff");
+    g.append("text")
+      .attr("x", width / 2)
+      .attr("y", height + 45)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Turn Angle (degrees)");
+    g.append("text")
+      .attr("transform", "rotate(-90)")
+      .attr("y", -50)
+      .attr("x", -height / 2)
+      .attr("fill", "#ffffff")
+      .style("text-anchor", "middle")
+      .text("Density");
   } else {
     const xScale = d3.scaleLinear().domain([0, 100]).range([0, width]);
     const yScale = d3.scaleLinear().domain([0, 1000]).range([height, 0]);
@@ -830,6 +1075,163 @@ function visualizeSamplingData(samplingData, options = {}) {
   };
 }
 
+/**
+ * Visualizes sampling regimes: time delta KDE with one curve per regime
+ * 
+ * All curves use the same bandwidth and evaluation grid as the KDE of all regime deltas, and each regime
+ * curve is scaled by its share of the deltas, so the regime curves add up to the combined curve
+ * Gaps (deltas above the gap threshold) belong to no regime and are not shown
+ * 
+ * @param {Object} samplingData - Object containing:
+ *   - samplingRegimes: Array<Object> - Regimes from auditSampling (with timeDeltasMs)
+ * @param {Object} options - Visualization options
+ *   - timeBandwidth: number - Bandwidth in seconds (default: adaptive)
+ * @returns {Object} Object with regimeKDEs (one per regime) and timeBandwidth (null when no regimes)
+ */
+function visualizeSamplingRegimes(samplingData, options = {}) {
+  const regimes = samplingData.samplingRegimes || [];
+  const regimeDeltasSec = regimes.map(r => r.timeDeltasMs.map(ms => ms / 1000).filter(d => d > 0 && isFinite(d)));
+  const allDeltasSec = [].concat(...regimeDeltasSec);
+  
+  if (allDeltasSec.length === 0) {
+    renderEmptyChartWithMessage("regime-kde-plot", "time-kde", "no sampling regimes in gpx");
+    return { regimeKDEs: [], timeBandwidth: null };
+  }
+  
+  // Common bandwidth and grid in log space
+  const allDeltasSecLog = allDeltasSec.map(d => Math.log(d));
+  const stdDevLog = d3.deviation(allDeltasSecLog) || 1;
+  const bandwidthLog = options.timeBandwidth ? Math.log(options.timeBandwidth) : (1.06 * stdDevLog * Math.pow(allDeltasSecLog.length, -0.2));
+  const rangeLog = [d3.min(allDeltasSecLog), d3.max(allDeltasSecLog)];
+  
+  const combinedKDE = computeKDE(allDeltasSec, bandwidthLog, 200, rangeLog);
+  const regimeKDEs = regimeDeltasSec.map((deltasSec) => {
+    const share = deltasSec.length / allDeltasSec.length;
+    return computeKDE(deltasSec, bandwidthLog, 200, rangeLog).map(p => ({ xLog: p.xLog, xLinear: p.xLinear, y: p.y * share }));
+  });
+  
+  renderKDEPlot("regime-kde-plot", combinedKDE, [], allDeltasSec, "Time Delta (seconds)", "Time Delta KDE by Sampling Regime", {
+    label: "all regimes",
+    curves: regimes.map((r, i) => ({
+      label: `regime ${i + 1}: ${r.startIndex}–${r.endIndex} (${r.deltaCount})`,
+      kdePoints: regimeKDEs[i]
+    }))
+  });
+  
+  return {
+    regimeKDEs: regimeKDEs,
+    timeBandwidth: Math.exp(bandwidthLog)
+  };
+}
+
+/**
+ * Visualizes speed audit data: log-space KDE of implied pair speeds
+ * 
+ * @param {Object} speedData - Object containing:
+ *   - speeds: Array<{speedMps: number}> - Per-pair implied speeds (from auditSpeed)
+ * @param {Object} options - Visualization options
+ *   - speedBandwidth: number - Bandwidth in m/s (default: adaptive)
+ * @returns {Object} Object with speedKDE, speedPeaks and speedBandwidth (null when no speeds)
+ */
+function visualizeSpeedData(speedData, options = {}) {
+  const speedsMps = (speedData.speeds || []).map(s => s.speedMps).filter(d => d > 0 && isFinite(d));
+  
+  if (speedsMps.length === 0) {
+    renderEmptyChartWithMessage("speed-kde-plot", "speed-kde", "no implied speeds in gpx");
+    return { speedKDE: [], speedPeaks: [], speedBandwidth: null };
+  }
+  
+  // Same rule-of-thumb bandwidth in log space as the time and distance KDEs
+  const speedsLog = speedsMps.map(d => Math.log(d));
+  const stdDevLog = d3.deviation(speedsLog) || 1;
+  const bandwidthLog = options.speedBandwidth ? Math.log(options.speedBandwidth) : (1.06 * stdDevLog * Math.pow(speedsLog.length, -0.2));
+  
+  const speedKDE = computeKDE(speedsMps, bandwidthLog);
+  const speedPeaks = detectPeaks(speedKDE);
+  renderKDEPlot("speed-kde-plot", speedKDE, speedPeaks, speedsMps, "Implied Speed (m/s)", "Implied Speed KDE");
+  
+  return {
+    speedKDE: speedKDE,
+    speedPeaks: speedPeaks,
+    speedBandwidth: Math.exp(bandwidthLog)
+  };
+}
+
+/**
+ * Visualizes heading audit data: circular KDE of signed turn angles
+ * 
+ * @param {Object} headingData - Object containing:
+ *   - turns: Array<{turnDeg: number}> - Per-vertex turn angles (from auditHeading)
+ * @param {Object} options - Visualization options
+ *   - turnBandwidthDeg: number - Bandwidth in degrees (default: rule of thumb on the circular standard deviation)
+ * @returns {Object} Object with turnKDE, turnPeaks and turnBandwidthDeg (null when no turns)
+ */
+function visualizeTurnAngles(headingData, options = {}) {
+  const turnsDeg = (headingData.turns || []).map(t => t.turnDeg).filter(d => isFinite(d));
+  
+  if (turnsDeg.length === 0) {
+    renderEmptyChartWithMessage("turn-kde-plot", "turn-kde", "no turn angles in gpx");
+    return { turnKDE: [], turnPeaks: [], turnBandwidthDeg: null };
+  }
+  
+  // Circular standard deviation √(-2 ln R) from the mean resultant length R, then the usual rule of thumb;
+  // clamped so identical angles and uniform angles still give a usable curve
+  const meanCos = d3.mean(turnsDeg, d => Math.cos(d * Math.PI / 180));
+  const meanSin = d3.mean(turnsDeg, d => Math.sin(d * Math.PI / 180));
+  const resultantLength = Math.min(1, Math.sqrt(meanCos * meanCos + meanSin * meanSin));
+  const circularStdDevDeg = Math.sqrt(-2 * Math.log(Math.max(resultantLength, 1e-12))) * 180 / Math.PI;
+  const turnBandwidthDeg = options.turnBandwidthDeg ||
+    Math.min(90, Math.max(1, 1.06 * circularStdDevDeg * Math.pow(turnsDeg.length, -0.2)));
+  
+  const turnKDE = computeCircularKDE(turnsDeg, turnBandwidthDeg);
+  const turnPeaks = detectPeaks(turnKDE);
+  
+  // -180° and +180° are the same angle: a peak there (out-and-back turns) straddles the grid ends
+  const last = turnKDE.length - 1;
+  if (turnKDE[0].y > turnKDE[1].y && turnKDE[last].y > turnKDE[last - 1].y) {
+    turnPeaks.push(Object.assign({}, turnKDE[last]));
+  }
+  renderKDEPlot("turn-kde-plot", turnKDE, turnPeaks, turnsDeg, "Turn Angle (degrees)", "Turn Angle KDE", { scale: 'linear' });
+  
+  return {
+    turnKDE: turnKDE,
+    turnPeaks: turnPeaks,
+    turnBandwidthDeg: turnBandwidthDeg
+  };
+}
+
+/**
+ * Visualizes elevation audit data: KDE of signed vertical deltas in linear space
+ * 
+ * @param {Object} elevationData - Object containing:
+ *   - verticalDeltasM: Array<number> - Signed vertical deltas in meters
+ * @param {Object} options - Visualization options
+ *   - verticalBandwidth: number - Bandwidth in meters (default: Silverman's rule in linear space)
+ * @returns {Object} Object with verticalKDE, verticalPeaks and verticalBandwidth (null when no deltas)
+ */
+function visualizeElevationData(elevationData, options = {}) {
+  const verticalDeltasM = (elevationData.verticalDeltasM || []).filter(d => isFinite(d));
+  
+  if (verticalDeltasM.length === 0) {
+    renderEmptyChartWithMessage("vertical-kde-plot", "vertical-kde", "no vertical deltas in gpx");
+    return { verticalKDE: [], verticalPeaks: [], verticalBandwidth: null };
+  }
+  
+  // Silverman's rule in linear space; constant deltas (e.g. all zero) fall back to 1 m
+  const stdDev = d3.deviation(verticalDeltasM) || 1;
+  const verticalBandwidth = options.verticalBandwidth || (1.06 * stdDev * Math.pow(verticalDeltasM.length, -0.2));
+  
+  const verticalKDE = computeSignedKDE(verticalDeltasM, verticalBandwidth);
+  const verticalPeaks = detectPeaks(verticalKDE);
+  renderKDEPlot("vertical-kde-plot", verticalKDE, verticalPeaks, verticalDeltasM, "Vertical Delta (meters)", "Vertical Delta KDE", { scale: 'linear' });
+  
+  return {
+    verticalKDE: verticalKDE,
+    verticalPeaks: verticalPeaks,
+    verticalBandwidth: verticalBandwidth
+  };
+}
+
 /**
  * Resets a chart to its original state
  * @param {string} containerId - ID of the chart container to reset
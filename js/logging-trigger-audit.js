@@ -0,0 +1,90 @@
+/**
+ * Logging Trigger Audit Module
+ * Observational audit pass for evidence of time-triggered versus distance-triggered logging
+ * Measures how concentrated the time deltas are compared with the distance deltas of the same
+ * time–distance pairs, and how the two relate in log space
+ * Reports descriptive statistics only; does NOT decide which trigger the device used
+ */
+
+/**
+ * Descriptive concentration statistics of one positive series
+ * @param {Array<number>} values - Positive, finite values in linear space
+ * @param {number} peakToleranceRatio - Relative half-width of the window around the dominant peak
+ * @returns {Object} {count, mean, stdDev, coefficientOfVariation, dominantPeak, peakSharpness}
+ */
+function describeDeltaConcentration(values, peakToleranceRatio) {
+  const n = values.length;
+  if (n === 0) {
+    return { count: 0, mean: null, stdDev: null, coefficientOfVariation: null, dominantPeak: null, peakSharpness: null };
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const stdDev = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)) : null;
+
+  // Share of values within ±peakToleranceRatio of the dominant KDE peak (symmetric in log space)
+  const peak = findDominantPeak(values);
+  const halfWidthLog = Math.log(1 + peakToleranceRatio);
+  const nearPeak = values.filter(v => Math.abs(Math.log(v) - peak.xLog) <= halfWidthLog).length;
+
+  return {
+    count: n,
+    mean: mean,
+    stdDev: stdDev,
+    coefficientOfVariation: stdDev !== null && mean > 0 ? stdDev / mean : null,
+    dominantPeak: peak.xLinear,
+    peakSharpness: nearPeak / n
+  };
+}
+
+/**
+ * Pearson correlation coefficient of two equally long series
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number|null} Correlation, or null with fewer than 3 values or a constant series
+ */
+function pearsonCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < 3) {
+    return null;
+  }
+  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) * (xs[i] - meanX);
+    syy += (ys[i] - meanY) * (ys[i] - meanY);
+  }
+  if (sxx === 0 || syy === 0) {
+    return null;
+  }
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Audits the time and distance deltas of time–distance pairs for logging trigger evidence
+ * Both series come from the same pairs, so their statistics are directly comparable
+ * @param {Array<{dtSec: number, ddMeters: number}>} timeDistancePairs - Pairs from auditSampling
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.peakToleranceRatio=0.1] - Relative half-width of the window around the dominant
+ *   peak used for peak sharpness (0.1: within ±10 %)
+ * @returns {Object} Audit metadata object with per-series statistics and the log-space correlation
+ */
+function auditLoggingTrigger(timeDistancePairs, options = {}) {
+  const peakToleranceRatio = options.peakToleranceRatio !== undefined ? options.peakToleranceRatio : 0.1;
+
+  // auditSampling only collects pairs with dt > 0 and a positive, finite distance
+  const pairs = (timeDistancePairs || []).filter(p => p.dtSec > 0 && isFinite(p.dtSec) && p.ddMeters > 0 && isFinite(p.ddMeters));
+  const timeDeltasSec = pairs.map(p => p.dtSec);
+  const distanceDeltasM = pairs.map(p => p.ddMeters);
+
+  return {
+    pairCount: pairs.length,
+    peakToleranceRatio: peakToleranceRatio,
+    time: describeDeltaConcentration(timeDeltasSec, peakToleranceRatio),
+    distance: describeDeltaConcentration(distanceDeltasM, peakToleranceRatio),
+    logCorrelation: pearsonCorrelation(timeDeltasSec.map(v => Math.log(v)), distanceDeltasM.map(v => Math.log(v)))
+  };
+}
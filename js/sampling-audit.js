@@ -3,38 +3,97 @@
  * Observational audit pass for time sampling behavior in GPX points
  * Does NOT mutate, reorder, or normalize timestamps
  * Collects positive time deltas between consecutive valid timestamps
- * Also collects distance deltas using haversine formula
+ * Also collects distance deltas under a selectable distance model (see distance-models.js)
  */
 
+//IMPORTANT NOTE TO SELF: "Presence of timestamps enables time-conditioned distance audit; does NOT imply time-based sampling."
+
 /**
- * Calculates haversine distance between two points in meters
- * @param {number} lat1 - Latitude of first point in degrees
- * @param {number} lon1 - Longitude of first point in degrees
- * @param {number} lat2 - Latitude of second point in degrees
- * @param {number} lon2 - Longitude of second point in degrees
- * @returns {number} Distance in meters
+ * Splits a series of log time deltas into contiguous sampling regimes by binary segmentation
+ * The cost of a segment is the squared deviation of its values from the segment mean;
+ * a split is kept when it lowers the cost by more than the penalty
+ * @param {Array<number>} logDeltas - ln(time delta in seconds), in file order
+ * @param {number} minRegimeDeltas - Minimum number of deltas in a regime
+ * @param {number} penaltyFactor - Penalty per split as a multiple of var(logDeltas) · ln(n)
+ * @returns {Array<number>} Sorted split positions (first position of each regime after the first)
  */
-
-//IMPORTANT NOTE TO SELF: "Presence of timestamps enables time-conditioned distance audit; does NOT imply time-based sampling."
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth radius in meters
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+function segmentSamplingRegimes(logDeltas, minRegimeDeltas, penaltyFactor) {
+  const n = logDeltas.length;
+  const cuts = [];
+  if (n < 2 * minRegimeDeltas) {
+    return cuts;
+  }
+  
+  // Prefix sums make the cost of any segment O(1)
+  const sum = [0];
+  const sumSq = [0];
+  for (let i = 0; i < n; i++) {
+    sum.push(sum[i] + logDeltas[i]);
+    sumSq.push(sumSq[i] + logDeltas[i] * logDeltas[i]);
+  }
+  const cost = (from, to) => {
+    const s = sum[to] - sum[from];
+    return sumSq[to] - sumSq[from] - s * s / (to - from);
+  };
+  
+  // Penalty scales with the spread of the whole series; the floor (0.1 in ln units, about 10 %)
+  // keeps jitter around a constant interval from being split
+  const mean = sum[n] / n;
+  const variance = Math.max(sumSq[n] / n - mean * mean, 0.01);
+  const penalty = penaltyFactor * variance * Math.log(n);
+  
+  const split = (from, to) => {
+    if (to - from < 2 * minRegimeDeltas) {
+      return;
+    }
+    const whole = cost(from, to);
+    let bestGain = -Infinity;
+    let bestPos = -1;
+    for (let k = from + minRegimeDeltas; k <= to - minRegimeDeltas; k++) {
+      const gain = whole - cost(from, k) - cost(k, to);
+      if (gain > bestGain) {
+        bestGain = gain;
+        bestPos = k;
+      }
+    }
+    if (bestGain > penalty) {
+      cuts.push(bestPos);
+      split(from, bestPos);
+      split(bestPos, to);
+    }
+  };
+  split(0, n);
+  
+  return cuts.sort((a, b) => a - b);
 }
 
 /**
  * Audits time sampling behavior by collecting positive time deltas
  * Also collects distance deltas between consecutive valid points
- * @param {Array} points - Array of point objects with timeRaw, lat, lon properties
+ * Pairs are never formed across a sequence boundary (track segment, route, or point type change)
+ * Intended to run on one point stream at a time (see splitPointStreams); event indices are
+ * ingestion indices (point.index), not positions in the array passed in
+ * @param {Array} points - Array of point objects with timeRaw, lat, lon properties and structural ordinals
  * @param {string} [gpxFilename] - Optional GPX filename (without extension) to include in download filenames
+ * @param {Object} [options] - Audit options
+ * @param {number|null} [options.gapThresholdSec=null] - Forward time delta (seconds) above which a pair is a gap;
+ *   null to derive it from the dominant time-delta KDE peak
+ * @param {number} [options.gapPeakMultiplier=10] - Derived gap threshold as a multiple of the dominant peak
+ * @param {number} [options.minRegimeDeltas=50] - Minimum number of time deltas in a sampling regime
+ * @param {number} [options.regimePenaltyFactor=5] - Sampling regime split penalty as a multiple of var(ln Δt) · ln(n);
+ *   higher values give fewer regimes
+ * @param {string} [options.distanceModel='haversine'] - Distance model for all distances (one of DISTANCE_MODELS)
  * @returns {Object} Object containing time delta and distance delta statistics
+ * @throws {Error} If the distance model is unknown
  */
-function auditSampling(points, gpxFilename) {
+function auditSampling(points, gpxFilename, options = {}) {
+  const gapThresholdOption = options.gapThresholdSec !== undefined ? options.gapThresholdSec : null;
+  const gapPeakMultiplier = options.gapPeakMultiplier !== undefined ? options.gapPeakMultiplier : 10;
+  const minRegimeDeltas = options.minRegimeDeltas !== undefined ? options.minRegimeDeltas : 50;
+  const regimePenaltyFactor = options.regimePenaltyFactor !== undefined ? options.regimePenaltyFactor : 5;
+  const distanceModel = options.distanceModel !== undefined ? options.distanceModel : 'haversine';
+  const distanceBetween = getDistanceProvider(distanceModel);
+  
   // Global context logging
   // console.log('=== Sampling Audit - Global Context ===');
   // console.log('Total points received:', points.length);
@@ -42,6 +101,7 @@ function auditSampling(points, gpxFilename) {
   const timeDeltasMs = [];
   const distanceDeltasMTimeConditioned = [];
   const distanceDeltasMGeometryOnly = [];
+  const geometryPairs = []; // Geometry-only pairs with the ingestion indices of their two points
   const timeDistancePairs = []; // Initialize early for result object
   let previousTimestampMs = null;
   let previousPoint = null; // Track previous point with valid coordinates
@@ -53,7 +113,7 @@ function auditSampling(points, gpxFilename) {
     const point = points[i];
     const timeRaw = point.timeRaw;
     if (timeRaw !== null) {
-      const timestampMs = Date.parse(timeRaw);
+      const timestampMs = parseTimestampMs(timeRaw);
       if (!isNaN(timestampMs)) {
         hasValidTimestamps = true;
         break;
@@ -72,12 +132,47 @@ function auditSampling(points, gpxFilename) {
   
   // Collect flagged events
   const nonPositiveTimeDeltaEvents = [];
+  const forwardTimeDeltas = []; // Every positive delta with its pair; gap candidates once the threshold is known
   
   // Distance delta audit counters (geometry-only mode)
   let consecutivePointPairsConsidered = 0;
   let rejectedDistanceInvalidOrZero = 0;
   
+  // Runs of consecutive zero-distance (repeated-coordinate) pairs: same lat/lon, whatever the distance model
+  const zeroDistanceRunEvents = [];
+  let zeroDistanceRun = null;
+  
+  const closeZeroDistanceRun = () => {
+    if (zeroDistanceRun !== null) {
+      const r = zeroDistanceRun;
+      // Timestamp pattern over the run's pairs: fully duplicated records vs repeated positions with advancing time
+      let timestampPattern = 'mixed';
+      if (r.repeatedTimePairs + r.advancingTimePairs + r.backwardTimePairs === 0) {
+        timestampPattern = 'missing';
+      } else if (r.repeatedTimePairs === r.pairCount) {
+        timestampPattern = 'repeated';
+      } else if (r.advancingTimePairs === r.pairCount) {
+        timestampPattern = 'advancing';
+      }
+      zeroDistanceRunEvents.push({
+        startIndex: r.startPoint.index,
+        endIndex: r.endPoint.index,
+        pointCount: r.pairCount + 1,
+        durationSec: r.firstTimed !== null && r.lastTimed !== r.firstTimed ? (r.lastTimed.ms - r.firstTimed.ms) / 1000 : null,
+        timestampPattern: timestampPattern,
+        repeatedTimestampPairs: r.repeatedTimePairs,
+        startTimeRaw: r.firstTimed !== null ? r.firstTimed.timeRaw : null,
+        endTimeRaw: r.lastTimed !== null ? r.lastTimed.timeRaw : null
+      });
+    }
+    zeroDistanceRun = null;
+  };
+  
+  // Sequence changes where pairing was skipped
+  let segmentBoundaryCount = 0;
+  
   let previousTimestampIndex = null;
+  let previousTimestampPoint = null; // Point that carried the previous valid timestamp
   
   // Iterate through all points in order
   // Note: All points are assumed to have valid coordinates (validated during ingestion)
@@ -90,24 +185,68 @@ function auditSampling(points, gpxFilename) {
     let hasValidTimestamp = false;
     
     if (timeRaw !== null) {
-      currentTimestampMs = Date.parse(timeRaw);
+      currentTimestampMs = parseTimestampMs(timeRaw);
       hasValidTimestamp = !isNaN(currentTimestampMs);
     }
     
+    // Sequence boundary: start a fresh pairing baseline for the new segment / route / point type
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      segmentBoundaryCount++;
+      closeZeroDistanceRun();
+      previousPoint = null;
+      previousTimestampMs = null;
+      previousTimestampIndex = null;
+      previousTimestampPoint = null;
+    }
+    
     // Geometry-only distance: always compute for every consecutive valid coordinate pair (no timestamp dependency)
     if (previousPoint !== null) {
       consecutivePointPairsConsidered++;
-      const distance = haversineDistance(
-        previousPoint.lat,
-        previousPoint.lon,
-        point.lat,
-        point.lon
-      );
+      const distance = distanceBetween(previousPoint, point);
+      // Repeated coordinates are judged horizontally, so a run does not depend on the distance model
+      // (under wgs84_3d a repeated lat/lon with a changing elevation has a non-zero slope distance)
+      const repeatedPosition = distance === 0 || (point.lat === previousPoint.lat && point.lon === previousPoint.lon);
       if (isFinite(distance) && distance > 0) {
         distanceDeltasMGeometryOnly.push(distance);
+        geometryPairs.push({ index: point.index, prevIndex: previousPoint.index, distanceM: distance });
       } else {
+        // Invalid (non-finite) or zero distance
         rejectedDistanceInvalidOrZero++;
       }
+      if (!isFinite(distance) || !repeatedPosition) {
+        // A non-finite distance is counted above, but is not a repeated coordinate
+        closeZeroDistanceRun();
+      } else {
+        // Extend (or start) the run of repeated-coordinate pairs and compare the pair's timestamps
+        const timed = hasValidTimestamp ? { ms: currentTimestampMs, timeRaw: timeRaw } : null;
+        if (zeroDistanceRun === null) {
+          zeroDistanceRun = {
+            startPoint: previousPoint,
+            pairCount: 0,
+            repeatedTimePairs: 0,
+            advancingTimePairs: 0,
+            backwardTimePairs: 0,
+            firstTimed: previousPoint.timed,
+            lastTimed: previousPoint.timed
+          };
+        }
+        const r = zeroDistanceRun;
+        r.endPoint = point;
+        r.pairCount++;
+        if (previousPoint.timed !== null && timed !== null) {
+          if (timed.ms === previousPoint.timed.ms) {
+            r.repeatedTimePairs++;
+          } else if (timed.ms > previousPoint.timed.ms) {
+            r.advancingTimePairs++;
+          } else {
+            r.backwardTimePairs++;
+          }
+        }
+        if (timed !== null) {
+          r.firstTimed = r.firstTimed !== null ? r.firstTimed : timed;
+          r.lastTimed = timed;
+        }
+      }
     }
     
     // Time delta and time-conditioned distance: only when we have positive progression (dt > 0)
@@ -122,15 +261,11 @@ function auditSampling(points, gpxFilename) {
           positiveTimeDeltasCollected++;
           timeDeltasMs.push(delta);
           hasTimeProgression = true;
+          forwardTimeDeltas.push({ point: point, prevPoint: previousTimestampPoint, delta: delta });
           
           // Time-conditioned distance delta for this pair only when dt > 0
           if (previousPoint !== null) {
-            const distance = haversineDistance(
-              previousPoint.lat,
-              previousPoint.lon,
-              point.lat,
-              point.lon
-            );
+            const distance = distanceBetween(previousPoint, point);
             if (isFinite(distance) && distance > 0) {
               distanceDeltasMTimeConditioned.push(distance);
             }
@@ -138,19 +273,27 @@ function auditSampling(points, gpxFilename) {
         } else {
           rejectedTimestampPairsDeltaLeqZero++;
           nonPositiveTimeDeltaEvents.push({
-            index: i,
+            index: point.index,
             prevIndex: previousTimestampIndex,
             delta: delta
           });
         }
       }
       previousTimestampMs = currentTimestampMs;
-      previousTimestampIndex = i;
+      previousTimestampIndex = point.index;
+      previousTimestampPoint = point;
     }
     
     // Update previous point (coordinates are already validated during ingestion)
-    previousPoint = { lat: point.lat, lon: point.lon };
+    previousPoint = {
+      index: point.index,
+      lat: point.lat,
+      lon: point.lon,
+      ele: point.ele,
+      timed: hasValidTimestamp ? { ms: currentTimestampMs, timeRaw: timeRaw } : null
+    };
   }
+  closeZeroDistanceRun();
   
   if (hasValidTimestamps && !hasTimeProgression) {
     // console.log('Timestamps detected but show no positive progression; time-based analysis disabled.');
@@ -194,13 +337,64 @@ function auditSampling(points, gpxFilename) {
     maxDeltaMs = sortedDeltas[sortedDeltas.length - 1];
     
     // Calculate median
-    const mid = Math.floor(sortedDeltas.length / 2);
-    if (sortedDeltas.length % 2 === 0) {
-      // Even number of elements: average of two middle values
-      medianDeltaMs = (sortedDeltas[mid - 1] + sortedDeltas[mid]) / 2;
-    } else {
-      // Odd number of elements: middle value
-      medianDeltaMs = sortedDeltas[mid];
+    medianDeltaMs = quantileOfSorted(sortedDeltas, 0.5);
+  }
+  
+  // Distribution summaries (time deltas in seconds, distance deltas in meters)
+  const timeDeltaSummary = summarizeSeries(timeDeltasMs.map(ms => ms / 1000));
+  const distanceDeltaSummary = summarizeSeries(distanceDeltasM);
+  
+  // Gap threshold: explicit, or a multiple of the dominant time-delta KDE peak
+  let dominantTimeDeltaSec = null;
+  let gapThresholdSec = gapThresholdOption;
+  let gapThresholdSource = gapThresholdOption !== null ? 'explicit' : null;
+  if (totalDeltaCount > 0) {
+    dominantTimeDeltaSec = timeDeltaSummary.dominantPeak;
+    if (gapThresholdSec === null && dominantTimeDeltaSec !== null) {
+      gapThresholdSec = dominantTimeDeltaSec * gapPeakMultiplier;
+      gapThresholdSource = 'dominant_peak';
+    }
+  }
+  
+  // Gap events: forward time deltas above the threshold, with the distance covered across the gap
+  const gapEvents = [];
+  if (gapThresholdSec !== null) {
+    forwardTimeDeltas.forEach((d) => {
+      if (d.delta / 1000 > gapThresholdSec) {
+        gapEvents.push({
+          startIndex: d.prevPoint.index,
+          endIndex: d.point.index,
+          durationSec: d.delta / 1000,
+          distanceM: distanceBetween(d.prevPoint, d.point),
+          startTimeRaw: d.prevPoint.timeRaw,
+          endTimeRaw: d.point.timeRaw
+        });
+      }
+    });
+  }
+  
+  // Sampling regimes: changepoints in ln(time delta); gaps are left out so a pause does not split a regime
+  const samplingRegimes = [];
+  if (gapThresholdSec !== null) {
+    const regimeDeltas = forwardTimeDeltas.filter(d => d.delta / 1000 <= gapThresholdSec);
+    const cuts = segmentSamplingRegimes(regimeDeltas.map(d => Math.log(d.delta / 1000)), minRegimeDeltas, regimePenaltyFactor);
+    const bounds = regimeDeltas.length > 0 ? [0, ...cuts, regimeDeltas.length] : [];
+    for (let r = 0; r < bounds.length - 1; r++) {
+      const regime = regimeDeltas.slice(bounds[r], bounds[r + 1]);
+      const first = regime[0];
+      const last = regime[regime.length - 1];
+      const intervalsSec = regime.map(d => d.delta / 1000);
+      const peak = findDominantPeak(intervalsSec);
+      samplingRegimes.push({
+        startIndex: first.prevPoint.index,
+        endIndex: last.point.index,
+        startTimeRaw: first.prevPoint.timeRaw,
+        endTimeRaw: last.point.timeRaw,
+        deltaCount: regime.length,
+        dominantIntervalSec: peak !== null ? peak.xLinear : null,
+        medianIntervalSec: medianOf(intervalsSec),
+        timeDeltasMs: regime.map(d => d.delta)
+      });
     }
   }
   
@@ -211,10 +405,14 @@ function auditSampling(points, gpxFilename) {
     minDeltaMs: minDeltaMs,
     maxDeltaMs: maxDeltaMs,
     medianDeltaMs: medianDeltaMs,
+    timeDeltaSummary: timeDeltaSummary,
     distanceDeltasM: distanceDeltasM,
+    distanceDeltaSummary: distanceDeltaSummary,
     distanceDeltasMGeometryOnly: distanceDeltasMGeometryOnly,
+    geometryPairs: geometryPairs,
     distanceDeltasMTimeConditioned: distanceDeltasMTimeConditioned,
     timeDistancePairs: timeDistancePairs,
+    distanceModel: distanceModel,
     hasTimeProgression: hasTimeProgression,
     hasValidTimestamps: hasValidTimestamps
   };
@@ -258,12 +456,18 @@ function auditSampling(points, gpxFilename) {
       // Check if current point has valid timestamp
       let currentTimestampMs = null;
       if (timeRaw !== null) {
-        currentTimestampMs = Date.parse(timeRaw);
+        currentTimestampMs = parseTimestampMs(timeRaw);
         if (isNaN(currentTimestampMs)) {
           currentTimestampMs = null;
         }
       }
       
+      // Sequence boundary: never pair across segments, routes or point types
+      if (i > 0 && !isSameSequence(points[i - 1], point)) {
+        prevPoint = null;
+        prevTimestampMs = null;
+      }
+      
       // Count consecutive pairs inspected (when we have a previous point)
       if (prevPoint !== null) {
         jointConsecutivePairsInspected++;
@@ -277,20 +481,17 @@ function auditSampling(points, gpxFilename) {
         const dtMs = currentTimestampMs - prevTimestampMs;
         const dtSec = dtMs / 1000;
         
-        // Compute haversine distance in meters
-        const ddMeters = haversineDistance(
-          prevPoint.lat,
-          prevPoint.lon,
-          point.lat,
-          point.lon
-        );
+        // Compute distance in meters under the selected model
+        const ddMeters = distanceBetween(prevPoint, point);
         
         // Include pair only if dtSec > 0 and ddMeters > 0 and finite
         if (dtSec > 0 && isFinite(ddMeters) && ddMeters > 0) {
           jointValidPairsCollected++;
           timeDistancePairs.push({
             dtSec: dtSec,
-            ddMeters: ddMeters
+            ddMeters: ddMeters,
+            index: point.index,
+            prevIndex: prevPoint.index
           });
         } else {
           if (dtSec <= 0) {
@@ -307,7 +508,7 @@ function auditSampling(points, gpxFilename) {
       
       // Update previous point and timestamp if current has valid timestamp
       if (currentTimestampMs !== null) {
-        prevPoint = { lat: point.lat, lon: point.lon };
+        prevPoint = { index: point.index, lat: point.lat, lon: point.lon, ele: point.ele };
         prevTimestampMs = currentTimestampMs;
       }
     }
@@ -328,11 +529,18 @@ function auditSampling(points, gpxFilename) {
   result.rejectedTimestampPairsDeltaLeqZero = rejectedTimestampPairsDeltaLeqZero;
   result.consecutivePointPairsConsidered = consecutivePointPairsConsidered;
   result.rejectedDistanceInvalidOrZero = rejectedDistanceInvalidOrZero;
+  result.zeroDistanceRunEvents = zeroDistanceRunEvents;
+  result.segmentBoundaryCount = segmentBoundaryCount;
   result.jointPairsWithBothTimestamps = jointPairsWithBothTimestamps;
   result.jointRejectedMissingTimestamp = jointRejectedMissingTimestamp;
   result.jointRejectedNonPositiveDt = jointRejectedNonPositiveDt;
   result.jointRejectedInvalidOrZeroDistance = jointRejectedInvalidOrZeroDistance;
   result.nonPositiveTimeDeltaEvents = nonPositiveTimeDeltaEvents;
+  result.dominantTimeDeltaSec = dominantTimeDeltaSec;
+  result.gapThresholdSec = gapThresholdSec;
+  result.gapThresholdSource = gapThresholdSource;
+  result.gapEvents = gapEvents;
+  result.samplingRegimes = samplingRegimes;
   
   return result;
 }
@@ -340,12 +548,15 @@ function auditSampling(points, gpxFilename) {
 /**
  * Exports time deltas to JSON file
  * @param {Array<number>} timeDeltasMs - Array of time deltas in milliseconds
+ * @param {Object} summary - Distribution summary of the deltas in seconds (from summarizeSeries)
  * @param {string} filename - Filename for download
  */
-function exportTimeDeltasJSON(timeDeltasMs, filename) {
+function exportTimeDeltasJSON(timeDeltasMs, summary, filename) {
   const exportPayload = {
     deltas: timeDeltasMs,
-    count: timeDeltasMs.length
+    count: timeDeltasMs.length,
+    summaryUnit: 'seconds',
+    summary: summary
   };
   
   const jsonString = JSON.stringify(exportPayload, null, 2);
@@ -363,12 +574,17 @@ function exportTimeDeltasJSON(timeDeltasMs, filename) {
 /**
  * Exports distance deltas to JSON file
  * @param {Array<number>} distanceDeltasM - Array of distance deltas in meters
+ * @param {string} distanceModel - Distance model that produced the deltas
+ * @param {Object} summary - Distribution summary of the deltas in meters (from summarizeSeries)
  * @param {string} filename - Filename for download
  */
-function exportDistanceDeltasJSON(distanceDeltasM, filename) {
+function exportDistanceDeltasJSON(distanceDeltasM, distanceModel, summary, filename) {
   const exportPayload = {
+    distanceModel: distanceModel,
     deltas: distanceDeltasM,
-    count: distanceDeltasM.length
+    count: distanceDeltasM.length,
+    summaryUnit: 'meters',
+    summary: summary
   };
   
   const jsonString = JSON.stringify(exportPayload, null, 2);
@@ -385,13 +601,50 @@ function exportDistanceDeltasJSON(distanceDeltasM, filename) {
 
 /**
  * Exports time-distance pairs to JSON file
- * @param {Array<{dtSec: number, ddMeters: number}>} timeDistancePairs - Array of time-distance pairs
+ * Includes a distribution summary (summarizeSeries) of each pair field: dtSec, ddMeters and the implied speed
+ * @param {Array<{dtSec: number, ddMeters: number, index: number, prevIndex: number}>} timeDistancePairs - Array of time-distance pairs
+ * @param {string} distanceModel - Distance model that produced ddMeters
  * @param {string} filename - Filename for download
  */
-function exportTimeDistancePairsJSON(timeDistancePairs, filename) {
+function exportTimeDistancePairsJSON(timeDistancePairs, distanceModel, filename) {
   const exportPayload = {
+    distanceModel: distanceModel,
     pairs: timeDistancePairs,
-    count: timeDistancePairs.length
+    count: timeDistancePairs.length,
+    summary: {
+      dtSec: summarizeSeries(timeDistancePairs.map(p => p.dtSec)),
+      ddMeters: summarizeSeries(timeDistancePairs.map(p => p.ddMeters)),
+      speedMps: summarizeSeries(timeDistancePairs.map(p => p.ddMeters / p.dtSec))
+    }
+  };
+  
+  const jsonString = JSON.stringify(exportPayload, null, 2);
+  const blob = new Blob([jsonString], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports recording gap events to JSON file
+ * @param {Array<Object>} gapEvents - Gap events from auditSampling
+ * @param {Object} settings - {thresholdSec, thresholdSource, dominantTimeDeltaSec} the gaps were found with,
+ *   and the distanceModel of distanceM
+ * @param {string} filename - Filename for download
+ */
+function exportGapEventsJSON(gapEvents, settings, filename) {
+  const exportPayload = {
+    thresholdSec: settings.thresholdSec,
+    thresholdSource: settings.thresholdSource,
+    dominantTimeDeltaSec: settings.dominantTimeDeltaSec,
+    distanceModel: settings.distanceModel,
+    gaps: gapEvents,
+    count: gapEvents.length
   };
   
   const jsonString = JSON.stringify(exportPayload, null, 2);
@@ -0,0 +1,257 @@
+/**
+ * Sensor Audit Module
+ * Observational audit pass for sensor channels decoded from GPX extensions (hr, cad, power, ...)
+ * Reports dropouts, frozen values, start/stop misalignment relative to GPS timestamps,
+ * and values outside physically possible ranges
+ * Does NOT mutate, fill, or smooth sensor values
+ */
+
+/**
+ * Physically possible value ranges per sensor channel (inclusive)
+ * Values outside these ranges cannot come from a working sensor on a human activity
+ */
+const SENSOR_CHANNEL_RANGES = {
+  hr: [20, 250],        // bpm
+  cad: [0, 250],        // rpm
+  power: [0, 3000],     // W
+  atemp: [-60, 60],     // °C
+  wtemp: [-5, 45],      // °C
+  depth: [0, 11000],    // m
+  speed: [0, 150],      // m/s
+  course: [0, 360],     // deg
+  bearing: [0, 360]     // deg
+};
+
+/**
+ * Audits the sensor channels of an array of points
+ * Runs are never extended across a sequence boundary (track segment, route, or point type change)
+ * @param {Array} points - Array of point objects with sensors and timeRaw properties
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.missingDurationSec=5] - Minimum gap (seconds) for a missing run to be reported as a dropout
+ * @param {number} [options.frozenDurationSec=30] - Minimum duration (seconds) for a constant-value run to be reported as frozen
+ * @param {number} [options.minRunPoints=5] - Point count used instead of duration when a run has no usable timestamps
+ * @param {number} [options.alignmentToleranceSec=5] - Allowed offset between GPS and channel start / stop
+ * @returns {Object} Audit metadata object with per-channel counters and flagged events
+ */
+function auditSensorChannels(points, options = {}) {
+  const missingDurationSec = options.missingDurationSec !== undefined ? options.missingDurationSec : 5;
+  const frozenDurationSec = options.frozenDurationSec !== undefined ? options.frozenDurationSec : 30;
+  const minRunPoints = options.minRunPoints !== undefined ? options.minRunPoints : 5;
+  const alignmentToleranceSec = options.alignmentToleranceSec !== undefined ? options.alignmentToleranceSec : 5;
+
+  // Channels seen anywhere in this stream
+  const channelNames = [];
+  points.forEach((point) => {
+    if (point.sensors) {
+      Object.keys(point.sensors).forEach((channel) => {
+        if (!channelNames.includes(channel)) {
+          channelNames.push(channel);
+        }
+      });
+    }
+  });
+
+  // Parsed timestamps (ms) per point; null when missing or unparsable
+  const timesMs = points.map((point) => {
+    if (point.timeRaw === null) {
+      return null;
+    }
+    const ms = parseTimestampMs(point.timeRaw);
+    return isNaN(ms) ? null : ms;
+  });
+
+  // Run duration in seconds, or null if either bound has no timestamp
+  const spanSec = (fromPos, toPos) => {
+    if (fromPos === null || toPos === null || timesMs[fromPos] === null || timesMs[toPos] === null) {
+      return null;
+    }
+    return (timesMs[toPos] - timesMs[fromPos]) / 1000;
+  };
+
+  // Whether a run is long enough to report: by duration when known, else by point count
+  const isReportable = (durationSec, pointCount, thresholdSec) => {
+    return durationSec !== null ? durationSec >= thresholdSec : pointCount >= minRunPoints;
+  };
+
+  // First / last timestamped point of the stream (GPS reference for alignment)
+  let gpsFirstPos = null;
+  let gpsLastPos = null;
+  for (let i = 0; i < points.length; i++) {
+    if (timesMs[i] !== null) {
+      if (gpsFirstPos === null) {
+        gpsFirstPos = i;
+      }
+      gpsLastPos = i;
+    }
+  }
+
+  const channels = {};
+  const dropoutEvents = [];
+  const frozenEvents = [];
+  const alignmentEvents = [];
+  const impossibleValueEvents = [];
+
+  channelNames.forEach((channel) => {
+    const range = SENSOR_CHANNEL_RANGES[channel] || null;
+    let sampleCount = 0;
+    let unparsableCount = 0;
+    let missingCount = 0;
+    let impossibleCount = 0;
+    let dropoutCount = 0;
+    let frozenCount = 0;
+    let firstTimedPos = null;
+    let lastTimedPos = null;
+
+    // Run state (reset at sequence boundaries)
+    let lastPresentPos = null;
+    let missingRunStart = null;
+    let frozenRunStart = null;
+    let frozenValue = null;
+
+    const closeFrozenRun = (endPos) => {
+      if (frozenRunStart !== null && endPos > frozenRunStart) {
+        const durationSec = spanSec(frozenRunStart, endPos);
+        const pointCount = endPos - frozenRunStart + 1;
+        if (isReportable(durationSec, pointCount, frozenDurationSec)) {
+          frozenCount++;
+          frozenEvents.push({
+            channel: channel,
+            startIndex: points[frozenRunStart].index,
+            endIndex: points[endPos].index,
+            pointCount: pointCount,
+            durationSec: durationSec,
+            value: frozenValue
+          });
+        }
+      }
+      frozenRunStart = null;
+      frozenValue = null;
+    };
+
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+
+      // Sequence boundary: trailing missing points of the previous sequence are not a dropout
+      if (i > 0 && !isSameSequence(points[i - 1], point)) {
+        if (lastPresentPos !== null) {
+          closeFrozenRun(lastPresentPos);
+        }
+        lastPresentPos = null;
+        missingRunStart = null;
+      }
+
+      const value = point.sensors && channel in point.sensors ? point.sensors[channel] : undefined;
+
+      if (value === undefined || value === null) {
+        if (value === null) {
+          unparsableCount++;
+        } else {
+          missingCount++;
+        }
+        // Missing run only counts once the channel has started in this sequence
+        if (lastPresentPos !== null && missingRunStart === null) {
+          missingRunStart = i;
+        }
+        closeFrozenRun(lastPresentPos !== null ? lastPresentPos : i);
+        continue;
+      }
+
+      sampleCount++;
+      if (timesMs[i] !== null) {
+        if (firstTimedPos === null) {
+          firstTimedPos = i;
+        }
+        lastTimedPos = i;
+      }
+
+      // Interior missing run ends at this sample
+      if (missingRunStart !== null) {
+        const durationSec = spanSec(lastPresentPos, i);
+        const pointCount = i - missingRunStart;
+        if (isReportable(durationSec, pointCount, missingDurationSec)) {
+          dropoutCount++;
+          dropoutEvents.push({
+            channel: channel,
+            startIndex: points[missingRunStart].index,
+            endIndex: points[i - 1].index,
+            pointCount: pointCount,
+            durationSec: durationSec
+          });
+        }
+        missingRunStart = null;
+      }
+
+      // Physically impossible value
+      if (range !== null && (value < range[0] || value > range[1])) {
+        impossibleCount++;
+        impossibleValueEvents.push({
+          channel: channel,
+          index: point.index,
+          value: value,
+          range: range
+        });
+      }
+
+      // Frozen run: consecutive samples with the identical value
+      if (frozenRunStart !== null && value !== frozenValue) {
+        closeFrozenRun(lastPresentPos);
+      }
+      if (frozenRunStart === null) {
+        frozenRunStart = i;
+        frozenValue = value;
+      }
+
+      lastPresentPos = i;
+    }
+    if (lastPresentPos !== null) {
+      closeFrozenRun(lastPresentPos);
+    }
+
+    // Start / stop alignment against the first / last GPS timestamp of the stream
+    let startOffsetSec = null;
+    let stopOffsetSec = null;
+    if (gpsFirstPos !== null && firstTimedPos !== null) {
+      startOffsetSec = (timesMs[firstTimedPos] - timesMs[gpsFirstPos]) / 1000;
+      stopOffsetSec = (timesMs[gpsLastPos] - timesMs[lastTimedPos]) / 1000;
+      if (startOffsetSec > alignmentToleranceSec) {
+        alignmentEvents.push({
+          channel: channel,
+          kind: 'late_start',
+          offsetSec: startOffsetSec,
+          gpsIndex: points[gpsFirstPos].index,
+          channelIndex: points[firstTimedPos].index
+        });
+      }
+      if (stopOffsetSec > alignmentToleranceSec) {
+        alignmentEvents.push({
+          channel: channel,
+          kind: 'early_stop',
+          offsetSec: stopOffsetSec,
+          gpsIndex: points[gpsLastPos].index,
+          channelIndex: points[lastTimedPos].index
+        });
+      }
+    }
+
+    channels[channel] = {
+      sampleCount: sampleCount,
+      missingCount: missingCount,
+      unparsableCount: unparsableCount,
+      dropoutCount: dropoutCount,
+      frozenRunCount: frozenCount,
+      impossibleValueCount: impossibleCount,
+      startOffsetSec: startOffsetSec,
+      stopOffsetSec: stopOffsetSec
+    };
+  });
+
+  return {
+    totalPointsChecked: points.length,
+    channelNames: channelNames,
+    channels: channels,
+    dropoutEvents: dropoutEvents,
+    frozenEvents: frozenEvents,
+    alignmentEvents: alignmentEvents,
+    impossibleValueEvents: impossibleValueEvents
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Spatial Plausibility Audit Module
+ * Observational audit pass for points that pass the coordinate range check but are implausible:
+ * exact (0, 0) coordinates ("null island"), likely lat/lon swaps, and points far outside the robust
+ * spatial extent of their segment; a single coordinate of exactly 0 is only noted
+ * Does NOT reject, move, or correct points
+ */
+
+/**
+ * Audits spatial plausibility of an array of points
+ * Each segment (run of points of one sequence: track segment, route, or the waypoints) is compared with
+ * its own robust centre, the median latitude and median longitude of its points. A point is an outlier
+ * when its distance from the centre exceeds the median distance by more than outlierMadFactor robust
+ * standard deviations (1.4826 × MAD) and by at least minOutlierDistanceM
+ * Each point is flagged once: null-island (0, 0) points first, then likely swaps, then other outliers
+ * Points with only one coordinate exactly 0 (on the equator or the prime meridian, which real tracks
+ * can cross) are noted separately and still go through the swap and outlier tests
+ * @param {Array} points - Array of point objects with index, lat, lon, timeRaw properties and structural ordinals
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.outlierMadFactor=5] - Robust standard deviations beyond the median distance for an outlier
+ * @param {number} [options.minOutlierDistanceM=1000] - Minimum distance (meters) beyond the median distance for an outlier
+ * @param {number} [options.minSegmentPoints=5] - Minimum points of a segment for the outlier and swap tests
+ * @param {string} [options.distanceModel='haversine'] - Distance model (one of DISTANCE_MODELS)
+ * @returns {Object} Audit metadata object with counters and flagged events
+ * @throws {Error} If the distance model is unknown
+ */
+function auditSpatialPlausibility(points, options = {}) {
+  const outlierMadFactor = options.outlierMadFactor !== undefined ? options.outlierMadFactor : 5;
+  const minOutlierDistanceM = options.minOutlierDistanceM !== undefined ? options.minOutlierDistanceM : 1000;
+  const minSegmentPoints = options.minSegmentPoints !== undefined ? options.minSegmentPoints : 5;
+  const distanceModel = options.distanceModel !== undefined ? options.distanceModel : 'haversine';
+  const distanceBetween = getDistanceProvider(distanceModel);
+
+  // Split into segments at sequence boundaries
+  const segments = [];
+  points.forEach((point, i) => {
+    if (i === 0 || !isSameSequence(points[i - 1], point)) {
+      segments.push([]);
+    }
+    segments[segments.length - 1].push(point);
+  });
+
+  const zeroCoordinateEvents = [];
+  const zeroAxisEvents = [];
+  const swapEvents = [];
+  const outlierEvents = [];
+  let segmentsTestedCount = 0;
+
+  segments.forEach((segment) => {
+    // Robust centre of the segment and the robust spread of distances from it (horizontal only)
+    const centre = { lat: medianOf(segment.map(p => p.lat)), lon: medianOf(segment.map(p => p.lon)) };
+    const distancesM = segment.map(p => distanceBetween(centre, { lat: p.lat, lon: p.lon }));
+    const tested = segment.length >= minSegmentPoints;
+    let thresholdM = null;
+    if (tested) {
+      segmentsTestedCount++;
+      const medianDistanceM = medianOf(distancesM);
+      const madM = medianOf(distancesM.map(d => Math.abs(d - medianDistanceM)));
+      thresholdM = medianDistanceM + Math.max(outlierMadFactor * 1.4826 * madM, minOutlierDistanceM);
+    }
+
+    segment.forEach((point, i) => {
+      const base = {
+        index: point.index,
+        lat: point.lat,
+        lon: point.lon,
+        distanceFromCentroidM: distancesM[i],
+        timeRaw: point.timeRaw
+      };
+
+      if (point.lat === 0 && point.lon === 0) {
+        zeroCoordinateEvents.push(base);
+        return;
+      }
+      if (point.lat === 0 || point.lon === 0) {
+        zeroAxisEvents.push(Object.assign({}, base, { zeroAxis: point.lat === 0 ? 'lat' : 'lon' }));
+      }
+      if (!tested || distancesM[i] <= thresholdM) {
+        return;
+      }
+
+      // Likely swap: the point read as (lat = lon, lon = lat) falls inside the segment's extent
+      if (Math.abs(point.lon) <= 90) {
+        const swappedDistanceM = distanceBetween(centre, { lat: point.lon, lon: point.lat });
+        if (swappedDistanceM <= thresholdM) {
+          swapEvents.push(Object.assign(base, { swappedDistanceFromCentroidM: swappedDistanceM }));
+          return;
+        }
+      }
+      outlierEvents.push(Object.assign(base, { thresholdM: thresholdM }));
+    });
+  });
+
+  return {
+    totalPointsChecked: points.length,
+    distanceModel: distanceModel,
+    outlierMadFactor: outlierMadFactor,
+    minOutlierDistanceM: minOutlierDistanceM,
+    minSegmentPoints: minSegmentPoints,
+    segmentCount: segments.length,
+    segmentsTestedCount: segmentsTestedCount,
+    zeroCoordinateCount: zeroCoordinateEvents.length,
+    zeroCoordinateEvents: zeroCoordinateEvents,
+    zeroAxisCount: zeroAxisEvents.length,
+    zeroAxisEvents: zeroAxisEvents,
+    swapCount: swapEvents.length,
+    swapEvents: swapEvents,
+    outlierCount: outlierEvents.length,
+    outlierEvents: outlierEvents
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Speed Audit Module
+ * Observational audit pass for the speed and acceleration implied by consecutive time–distance pairs
+ * Flags pairs whose implied speed exceeds a configurable limit (GPS "teleportation")
+ * Does NOT remove, smooth, or correct points
+ */
+
+/**
+ * Audits implied speed and acceleration of the time–distance pairs of one point stream
+ * Accelerations are formed only for two pairs that share their middle point, so they never
+ * cross a sequence boundary, a missing timestamp or a zero-distance pair
+ * @param {Array} points - Array of point objects with index, lat, lon (the stream the pairs came from)
+ * @param {Array<{dtSec: number, ddMeters: number, index: number, prevIndex: number}>} timeDistancePairs - Pairs from auditSampling
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.speedLimitMps=50] - Implied speed (m/s) above which a pair is flagged
+ * @returns {Object} Audit metadata object with per-pair speeds, per-triple accelerations and flagged events
+ */
+function auditSpeed(points, timeDistancePairs, options = {}) {
+  const speedLimitMps = options.speedLimitMps !== undefined ? options.speedLimitMps : 50;
+
+  // Coordinates for events are looked up by ingestion index
+  const pointsByIndex = new Map();
+  points.forEach((point) => {
+    pointsByIndex.set(point.index, point);
+  });
+
+  const pairs = timeDistancePairs || [];
+  const speeds = [];
+  const accelerations = [];
+  const excessiveSpeedEvents = [];
+
+  let previous = null; // Previous speed entry, used when it ends at the current pair's start
+  pairs.forEach((pair) => {
+    const speedMps = pair.ddMeters / pair.dtSec;
+    const entry = {
+      index: pair.index,
+      prevIndex: pair.prevIndex,
+      dtSec: pair.dtSec,
+      speedMps: speedMps
+    };
+    speeds.push(entry);
+
+    // Acceleration at the shared middle point, over the time between the two pair midpoints
+    if (previous !== null && previous.index === pair.prevIndex) {
+      accelerations.push({
+        index: pair.prevIndex,
+        prevIndex: previous.prevIndex,
+        nextIndex: pair.index,
+        accelerationMps2: (speedMps - previous.speedMps) / ((previous.dtSec + pair.dtSec) / 2)
+      });
+    }
+
+    if (speedMps > speedLimitMps) {
+      const from = pointsByIndex.get(pair.prevIndex);
+      const to = pointsByIndex.get(pair.index);
+      excessiveSpeedEvents.push({
+        index: pair.index,
+        prevIndex: pair.prevIndex,
+        speedMps: speedMps,
+        dtSec: pair.dtSec,
+        distanceM: pair.ddMeters,
+        prevLat: from ? from.lat : null,
+        prevLon: from ? from.lon : null,
+        lat: to ? to.lat : null,
+        lon: to ? to.lon : null
+      });
+    }
+
+    previous = entry;
+  });
+
+  // Summary statistics
+  const speedSummary = summarizeSeries(speeds.map(s => s.speedMps));
+  const maxAbsAccelerationMps2 = accelerations.length > 0
+    ? accelerations.reduce((max, a) => Math.max(max, Math.abs(a.accelerationMps2)), 0)
+    : null;
+
+  return {
+    pairCount: pairs.length,
+    speedLimitMps: speedLimitMps,
+    speeds: speeds,
+    accelerations: accelerations,
+    speedSummary: speedSummary,
+    maxSpeedMps: speedSummary.max,
+    medianSpeedMps: speedSummary.median,
+    maxAbsAccelerationMps2: maxAbsAccelerationMps2,
+    excessiveSpeedCount: excessiveSpeedEvents.length,
+    excessiveSpeedEvents: excessiveSpeedEvents
+  };
+}
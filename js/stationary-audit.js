@@ -0,0 +1,144 @@
+/**
+ * Stationary Audit Module
+ * Observational audit pass for stationary intervals: runs of points that stay within a small radius
+ * while the device is not moving, and the apparent path length their position jitter accumulates
+ * Does NOT remove, merge, or snap points
+ */
+
+/**
+ * Audits stationary intervals in an array of points
+ * A run grows while each next point lies within the radius of the run's running centroid;
+ * runs are never extended across a sequence boundary (track segment, route, or point type change)
+ * @param {Array} points - Array of point objects with index, lat, lon, ele, timeRaw properties and structural ordinals
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.radiusM=10] - Maximum distance (meters) of a point from the run centroid
+ * @param {number} [options.minDurationSec=60] - Minimum run duration (seconds) to report a stationary interval
+ * @param {number} [options.minPoints=5] - Minimum number of points in a stationary interval (always required;
+ *   the only criterion when a run has no usable timestamps)
+ * @param {string} [options.distanceModel='haversine'] - Distance model (one of DISTANCE_MODELS)
+ * @returns {Object} Audit metadata object with counters and stationary interval events
+ * @throws {Error} If the distance model is unknown
+ */
+function auditStationary(points, options = {}) {
+  const radiusM = options.radiusM !== undefined ? options.radiusM : 10;
+  const minDurationSec = options.minDurationSec !== undefined ? options.minDurationSec : 60;
+  const minPoints = options.minPoints !== undefined ? options.minPoints : 5;
+  const distanceModel = options.distanceModel !== undefined ? options.distanceModel : 'haversine';
+  const distanceBetween = getDistanceProvider(distanceModel);
+
+  // Parsed timestamps (ms) per point; null when missing or unparsable
+  const timesMs = points.map((point) => {
+    if (point.timeRaw === null) {
+      return null;
+    }
+    const ms = parseTimestampMs(point.timeRaw);
+    return isNaN(ms) ? null : ms;
+  });
+
+  let segmentBoundaryCount = 0;
+  const stationaryEvents = [];
+
+  // Current run: positions [start, end] in the points array and the running coordinate sums
+  let run = null;
+
+  const startRun = (pos) => {
+    run = { start: pos, end: pos, latSum: points[pos].lat, lonSum: points[pos].lon };
+  };
+
+  const closeRun = () => {
+    if (run === null || run.end === run.start) {
+      run = null;
+      return;
+    }
+    const pointCount = run.end - run.start + 1;
+
+    // Duration between the first and last timestamped points of the run
+    let firstMs = null;
+    let lastMs = null;
+    let firstTimePos = null;
+    let lastTimePos = null;
+    for (let i = run.start; i <= run.end; i++) {
+      if (timesMs[i] !== null) {
+        if (firstMs === null) {
+          firstMs = timesMs[i];
+          firstTimePos = i;
+        }
+        lastMs = timesMs[i];
+        lastTimePos = i;
+      }
+    }
+    const durationSec = firstMs !== null && lastTimePos !== firstTimePos ? (lastMs - firstMs) / 1000 : null;
+    const reportable = pointCount >= minPoints && (durationSec === null || durationSec >= minDurationSec);
+
+    if (reportable) {
+      const centroid = { lat: run.latSum / pointCount, lon: run.lonSum / pointCount };
+      let sumSq = 0;
+      let maxM = 0;
+      let pathLengthM = 0;
+      for (let i = run.start; i <= run.end; i++) {
+        // Horizontal jitter only: the centroid has no elevation
+        const d = distanceBetween(centroid, { lat: points[i].lat, lon: points[i].lon });
+        sumSq += d * d;
+        maxM = Math.max(maxM, d);
+        if (i > run.start) {
+          pathLengthM += distanceBetween(points[i - 1], points[i]);
+        }
+      }
+      stationaryEvents.push({
+        startIndex: points[run.start].index,
+        endIndex: points[run.end].index,
+        pointCount: pointCount,
+        durationSec: durationSec,
+        centroidLat: centroid.lat,
+        centroidLon: centroid.lon,
+        jitterRmsM: Math.sqrt(sumSq / pointCount),
+        jitterMaxM: maxM,
+        pathLengthM: pathLengthM,
+        startTimeRaw: firstTimePos !== null ? points[firstTimePos].timeRaw : null,
+        endTimeRaw: lastTimePos !== null ? points[lastTimePos].timeRaw : null
+      });
+    }
+    run = null;
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Sequence boundary: a run never spans two segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      segmentBoundaryCount++;
+      closeRun();
+    }
+
+    if (run === null) {
+      startRun(i);
+      continue;
+    }
+
+    const count = run.end - run.start + 1;
+    const centroid = { lat: run.latSum / count, lon: run.lonSum / count };
+    if (distanceBetween(centroid, { lat: point.lat, lon: point.lon }) <= radiusM) {
+      run.end = i;
+      run.latSum += point.lat;
+      run.lonSum += point.lon;
+    } else {
+      // The point that leaves the radius starts the next candidate run
+      closeRun();
+      startRun(i);
+    }
+  }
+  closeRun();
+
+  return {
+    totalPointsChecked: points.length,
+    distanceModel: distanceModel,
+    radiusM: radiusM,
+    minDurationSec: minDurationSec,
+    minPoints: minPoints,
+    segmentBoundaryCount: segmentBoundaryCount,
+    stationaryIntervalCount: stationaryEvents.length,
+    stationaryPointCount: stationaryEvents.reduce((sum, e) => sum + e.pointCount, 0),
+    stationaryPathLengthM: stationaryEvents.reduce((sum, e) => sum + e.pathLengthM, 0),
+    stationaryEvents: stationaryEvents
+  };
+}
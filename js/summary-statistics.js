@@ -0,0 +1,111 @@
+/**
+ * Summary Statistics Module
+ * One distribution summary for every numeric series the audits collect (time deltas, distance deltas,
+ * implied speeds, vertical deltas), so status readouts and exports describe all series the same way
+ * Does NOT filter outliers or transform the series beyond dropping non-finite values
+ */
+
+/**
+ * Percentiles reported by summarizeSeries (p1–p99)
+ */
+const SUMMARY_PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+
+/**
+ * Quantile of a sorted array by linear interpolation between order statistics
+ * (the default method of R's quantile(), type 7)
+ * @param {Array<number>} sorted - Values sorted ascending (not empty)
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Quantile value
+ */
+function quantileOfSorted(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median of an array of numbers (quantileOfSorted at 0.5 on a sorted copy)
+ * @param {Array<number>} values - Values (not mutated)
+ * @returns {number|null} Median, or null for an empty array
+ */
+function medianOf(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return quantileOfSorted(values.slice().sort((a, b) => a - b), 0.5);
+}
+
+/**
+ * Summarizes the distribution of a numeric series
+ * The dominant peak is the highest point of the series' KDE with the same default bandwidth its chart uses:
+ * log space for positive series (findDominantPeak), linear space for signed series (computeSignedKDE)
+ * @param {Array<number>} values - Series values (non-finite values are ignored)
+ * @param {Object} [options] - Summary options
+ * @param {string} [options.peakScale='log'] - 'log' for positive series, 'linear' for signed series
+ * @returns {Object} Summary with count, min, max, mean, median, q1, q3, iqr, mad, percentiles {p1..p99},
+ *   logMean, logSd (null unless every value is positive) and dominantPeak (null without values)
+ */
+function summarizeSeries(values, options = {}) {
+  const peakScale = options.peakScale !== undefined ? options.peakScale : 'log';
+  const finite = (values || []).filter(v => isFinite(v));
+  const n = finite.length;
+
+  const percentiles = {};
+  SUMMARY_PERCENTILES.forEach((p) => {
+    percentiles['p' + p] = null;
+  });
+  const summary = {
+    count: n,
+    min: null,
+    max: null,
+    mean: null,
+    median: null,
+    q1: null,
+    q3: null,
+    iqr: null,
+    mad: null,
+    percentiles: percentiles,
+    logMean: null,
+    logSd: null,
+    dominantPeak: null
+  };
+  if (n === 0) {
+    return summary;
+  }
+
+  const sorted = finite.slice().sort((a, b) => a - b);
+  summary.min = sorted[0];
+  summary.max = sorted[n - 1];
+  summary.mean = finite.reduce((sum, v) => sum + v, 0) / n;
+  summary.median = quantileOfSorted(sorted, 0.5);
+  summary.q1 = quantileOfSorted(sorted, 0.25);
+  summary.q3 = quantileOfSorted(sorted, 0.75);
+  summary.iqr = summary.q3 - summary.q1;
+  // Unscaled median absolute deviation (multiply by 1.4826 for a normal-consistent spread)
+  const deviations = sorted.map(v => Math.abs(v - summary.median)).sort((a, b) => a - b);
+  summary.mad = quantileOfSorted(deviations, 0.5);
+  SUMMARY_PERCENTILES.forEach((p) => {
+    percentiles['p' + p] = quantileOfSorted(sorted, p / 100);
+  });
+
+  // Log-space moments only describe series without zero or negative values
+  if (sorted[0] > 0) {
+    const logs = finite.map(v => Math.log(v));
+    summary.logMean = logs.reduce((sum, x) => sum + x, 0) / n;
+    summary.logSd = n > 1
+      ? Math.sqrt(logs.reduce((sum, x) => sum + (x - summary.logMean) * (x - summary.logMean), 0) / (n - 1))
+      : 0;
+  }
+
+  if (peakScale === 'linear') {
+    const sd = n > 1 ? Math.sqrt(finite.reduce((sum, v) => sum + (v - summary.mean) * (v - summary.mean), 0) / (n - 1)) : 0;
+    const kdePoints = computeSignedKDE(finite, 1.06 * (sd || 1) * Math.pow(n, -0.2));
+    summary.dominantPeak = kdePoints.reduce((best, point) => point.y > best.y ? point : best, kdePoints[0]).xLinear;
+  } else {
+    const peak = findDominantPeak(finite);
+    summary.dominantPeak = peak !== null ? peak.xLinear : null;
+  }
+
+  return summary;
+}
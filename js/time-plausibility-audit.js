@@ -0,0 +1,211 @@
+/**
+ * Time Plausibility Audit Module
+ * Observational audit pass for timestamps that are well-formed but cannot be true:
+ * dates outside a plausible window, GPS week-rollover offsets (exact multiples of 1024 weeks)
+ * between consecutive points, and a document time that contradicts the first track point time
+ * Does NOT shift or correct timestamps
+ */
+
+/**
+ * GPS week number rollover period: the legacy week counter has 10 bits (1024 weeks)
+ */
+const GPS_WEEK_ROLLOVER_MS = 1024 * 7 * 24 * 3600 * 1000;
+
+/**
+ * Codes of time plausibility events
+ */
+const TIME_PLAUSIBILITY_CODES = {
+  OUTSIDE_WINDOW: 'OUTSIDE_WINDOW',                           // run of point times outside the plausible window
+  ROLLOVER_JUMP: 'ROLLOVER_JUMP',                             // consecutive point times differ by a multiple of 1024 weeks
+  DOCUMENT_TIME_OUTSIDE_WINDOW: 'DOCUMENT_TIME_OUTSIDE_WINDOW',
+  DOCUMENT_TIME_ROLLOVER_OFFSET: 'DOCUMENT_TIME_ROLLOVER_OFFSET', // document time is a multiple of 1024 weeks from the first trkpt time
+  DOCUMENT_TIME_BEFORE_POINTS: 'DOCUMENT_TIME_BEFORE_POINTS'      // document time is well before the first trkpt time
+};
+
+/**
+ * Nearest non-zero multiple of the rollover period to a time difference, if within tolerance
+ * @param {number} deltaMs - Time difference in milliseconds
+ * @param {number} toleranceMs - Allowed distance from the multiple
+ * @param {number} maxRollovers - Largest multiple considered
+ * @returns {Object|null} {rollovers, residualSec}, or null if the difference is not a rollover multiple
+ */
+function matchRolloverMultiple(deltaMs, toleranceMs, maxRollovers) {
+  const rollovers = Math.round(deltaMs / GPS_WEEK_ROLLOVER_MS);
+  const residualMs = deltaMs - rollovers * GPS_WEEK_ROLLOVER_MS;
+  if (rollovers === 0 || Math.abs(rollovers) > maxRollovers || Math.abs(residualMs) > toleranceMs) {
+    return null;
+  }
+  return { rollovers: rollovers, residualSec: residualMs / 1000 };
+}
+
+/**
+ * Audits the plausibility of point and document times
+ * Runs on all points of the ingestion result (like auditDocument); jumps and runs never cross a sequence boundary
+ * The document time is compared with the first track point time through auditDocument's offset, so both
+ * audits use the same reference; auditDocument reports any document time before the track, this audit
+ * only the contradictions: a rollover multiple, or more than documentTimeToleranceSec before the track
+ * @param {Object} ingestion - Result of parseGPX (document, points)
+ * @param {Object} documentAudit - Result of auditDocument for the same ingestion result
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.earliest='2000-01-01T00:00:00Z'] - Earliest plausible time (xsd:dateTime)
+ * @param {string|null} [options.latest=null] - Latest plausible time (xsd:dateTime); null for one day after now
+ * @param {number} [options.rolloverToleranceSec=60] - Allowed distance from an exact multiple of 1024 weeks
+ *   (covers GPS-UTC leap seconds and receiver clock error)
+ * @param {number} [options.maxRollovers=4] - Largest multiple of 1024 weeks considered
+ * @param {number} [options.documentTimeToleranceSec=86400] - How far the document time may lie before the first trkpt time
+ * @returns {Object} Audit metadata object with the window used, counters and events
+ * @throws {Error} If earliest or latest is not a valid xsd:dateTime
+ */
+function auditTimePlausibility(ingestion, documentAudit, options = {}) {
+  const earliestRaw = options.earliest !== undefined ? options.earliest : '2000-01-01T00:00:00Z';
+  const latestRaw = options.latest !== undefined ? options.latest : null;
+  const toleranceMs = (options.rolloverToleranceSec !== undefined ? options.rolloverToleranceSec : 60) * 1000;
+  const maxRollovers = options.maxRollovers !== undefined ? options.maxRollovers : 4;
+  const documentTimeToleranceSec = options.documentTimeToleranceSec !== undefined ? options.documentTimeToleranceSec : 86400;
+
+  const earliestMs = parseTimestampMs(earliestRaw);
+  const latestMs = latestRaw !== null ? parseTimestampMs(latestRaw) : Date.now() + 86400000;
+  if (isNaN(earliestMs) || isNaN(latestMs)) {
+    throw new Error('Time plausibility window requires valid xsd:dateTime bounds');
+  }
+  const inWindow = (ms) => ms >= earliestMs && ms <= latestMs;
+
+  // Multiple of 1024 weeks that moves a time into the window (smallest shift first, forward before backward)
+  const findWindowRollovers = (ms) => {
+    for (let k = 1; k <= maxRollovers; k++) {
+      if (inWindow(ms + k * GPS_WEEK_ROLLOVER_MS)) {
+        return k;
+      }
+      if (inWindow(ms - k * GPS_WEEK_ROLLOVER_MS)) {
+        return -k;
+      }
+    }
+    return null;
+  };
+
+  const points = ingestion.points;
+  const events = [];
+  let checkedTimestampCount = 0;
+  let outsideWindowCount = 0;
+  let earliestPoint = null; // Earliest and latest valid point times
+  let latestPoint = null;
+
+  let prev = null; // {point, ms} of the last valid time in this sequence
+  let run = null;  // Current run of out-of-window times
+
+  const closeRun = () => {
+    if (run !== null) {
+      events.push({
+        code: TIME_PLAUSIBILITY_CODES.OUTSIDE_WINDOW,
+        startIndex: run.startIndex,
+        endIndex: run.endIndex,
+        pointCount: run.pointCount,
+        timeRaw: run.timeRaw,
+        rollovers: findWindowRollovers(run.ms)
+      });
+    }
+    run = null;
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Sequence boundary: do not compare across segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      closeRun();
+      prev = null;
+    }
+
+    const ms = parseTimestampMs(point.timeRaw);
+    if (isNaN(ms)) {
+      continue; // Missing and unparsable times are reported by the timestamp audit
+    }
+    checkedTimestampCount++;
+    if (earliestPoint === null || ms < earliestPoint.ms) {
+      earliestPoint = { index: point.index, timeRaw: point.timeRaw, ms: ms };
+    }
+    if (latestPoint === null || ms > latestPoint.ms) {
+      latestPoint = { index: point.index, timeRaw: point.timeRaw, ms: ms };
+    }
+
+    // Out-of-window times are grouped into runs of consecutive valid times
+    if (!inWindow(ms)) {
+      outsideWindowCount++;
+      if (run === null) {
+        run = { startIndex: point.index, endIndex: point.index, pointCount: 0, timeRaw: point.timeRaw, ms: ms };
+      }
+      run.endIndex = point.index;
+      run.pointCount++;
+    } else {
+      closeRun();
+    }
+
+    // Rollover jump: the clock moves by an exact multiple of 1024 weeks between two consecutive points
+    if (prev !== null) {
+      const match = matchRolloverMultiple(ms - prev.ms, toleranceMs, maxRollovers);
+      if (match !== null) {
+        events.push({
+          code: TIME_PLAUSIBILITY_CODES.ROLLOVER_JUMP,
+          index: point.index,
+          prevIndex: prev.point.index,
+          rollovers: match.rollovers,
+          residualSec: match.residualSec,
+          prevTimeRaw: prev.point.timeRaw,
+          currTimeRaw: point.timeRaw
+        });
+      }
+    }
+
+    prev = { point: point, ms: ms };
+  }
+  closeRun();
+
+  // Document-level time (<metadata><time>, or <time> under <gpx> in GPX 1.0) against the window
+  const documentTimeRaw = ingestion.document ? ingestion.document.metadata.timeRaw : null;
+  const documentTimeMs = documentTimeRaw !== null ? parseTimestampMs(documentTimeRaw) : NaN;
+  if (!isNaN(documentTimeMs) && !inWindow(documentTimeMs)) {
+    events.push({
+      code: TIME_PLAUSIBILITY_CODES.DOCUMENT_TIME_OUTSIDE_WINDOW,
+      timeRaw: documentTimeRaw,
+      rollovers: findWindowRollovers(documentTimeMs)
+    });
+  }
+
+  // Document time against the first track point time, as measured by the document audit
+  const timeCheck = documentAudit.metadataTimeCheck;
+  if (timeCheck.offsetSec !== null) {
+    const match = matchRolloverMultiple(timeCheck.offsetSec * 1000, toleranceMs, maxRollovers);
+    if (match !== null) {
+      events.push({
+        code: TIME_PLAUSIBILITY_CODES.DOCUMENT_TIME_ROLLOVER_OFFSET,
+        timeRaw: documentTimeRaw,
+        pointIndex: timeCheck.firstTrackPointIndex,
+        pointTimeRaw: timeCheck.firstTrackPointTimeRaw,
+        rollovers: match.rollovers,
+        residualSec: match.residualSec
+      });
+    } else if (timeCheck.offsetSec < -documentTimeToleranceSec) {
+      events.push({
+        code: TIME_PLAUSIBILITY_CODES.DOCUMENT_TIME_BEFORE_POINTS,
+        timeRaw: documentTimeRaw,
+        pointIndex: timeCheck.firstTrackPointIndex,
+        pointTimeRaw: timeCheck.firstTrackPointTimeRaw,
+        offsetSec: timeCheck.offsetSec
+      });
+    }
+  }
+
+  return {
+    window: {
+      earliestMs: earliestMs,
+      latestMs: latestMs
+    },
+    checkedTimestampCount: checkedTimestampCount,
+    outsideWindowCount: outsideWindowCount,
+    earliestTimeRaw: earliestPoint !== null ? earliestPoint.timeRaw : null,
+    latestTimeRaw: latestPoint !== null ? latestPoint.timeRaw : null,
+    rolloverJumpCount: events.filter(e => e.code === TIME_PLAUSIBILITY_CODES.ROLLOVER_JUMP).length,
+    documentTimeRaw: documentTimeRaw,
+    events: events
+  };
+}
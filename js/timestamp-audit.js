@@ -4,12 +4,111 @@
  * Does NOT mutate, reorder, or normalize timestamps
  */
 
+/**
+ * Clock resolution grids (seconds), coarsest first; each grid contains the ones before it
+ * A timestamp that fits none of them is on a 'finer' grid
+ */
+const TIMESTAMP_RESOLUTION_GRIDS = ['1', '0.5', '0.1', '0.01', '0.001'];
+
+/**
+ * Coarsest resolution grid a timestamp falls on, read from its seconds fraction as written
+ * Uses the digits, not the parsed milliseconds, so no float rounding is involved
+ * @param {string} fractionDigits - Seconds fraction as written ('' when absent)
+ * @returns {string} One of TIMESTAMP_RESOLUTION_GRIDS, or 'finer'
+ */
+function getTimestampResolution(fractionDigits) {
+  const significant = fractionDigits.replace(/0+$/, '');
+  if (significant === '') {
+    return '1';
+  }
+  if (significant === '5') {
+    return '0.5';
+  }
+  return significant.length <= 3 ? TIMESTAMP_RESOLUTION_GRIDS[significant.length + 1] : 'finer';
+}
+
+/**
+ * Length of the longest non-decreasing subsequence (patience sorting, O(n log n))
+ * @param {Array<number>} values - Values in file order
+ * @returns {number} Length of the longest non-decreasing subsequence
+ */
+function longestNonDecreasingLength(values) {
+  const tails = []; // tails[k]: smallest last value of a non-decreasing subsequence of length k + 1
+  values.forEach((value) => {
+    // First tail strictly greater than value (equal values extend a non-decreasing run)
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] <= value) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    tails[lo] = value;
+  });
+  return tails.length;
+}
+
+/**
+ * Groups the valid timestamps of one sequence into out-of-order blocks
+ * A block ends where every timestamp before the cut is <= every timestamp after it, so each
+ * block is the smallest region that contains a disorder; blocks of one point are in order
+ * @param {Array<{index: number, ms: number, timeRaw: string}>} entries - Valid timestamps of one sequence in file order
+ * @returns {Array<Object>} Out-of-order blocks (two or more points)
+ */
+function findOutOfOrderBlocks(entries) {
+  const n = entries.length;
+  const suffixMin = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    suffixMin[i] = i === n - 1 ? entries[i].ms : Math.min(entries[i].ms, suffixMin[i + 1]);
+  }
+
+  const blocks = [];
+  let start = 0;
+  let prefixMax = -Infinity;
+  for (let i = 0; i < n; i++) {
+    prefixMax = Math.max(prefixMax, entries[i].ms);
+    if (i === n - 1 || prefixMax <= suffixMin[i + 1]) {
+      if (i > start) {
+        const block = entries.slice(start, i + 1);
+        const minEntry = block.reduce((a, b) => b.ms < a.ms ? b : a);
+        const maxEntry = block.reduce((a, b) => b.ms > a.ms ? b : a);
+        blocks.push({
+          startIndex: entries[start].index,
+          endIndex: entries[i].index,
+          pointCount: block.length,
+          minTimeRaw: minEntry.timeRaw,
+          maxTimeRaw: maxEntry.timeRaw,
+          overlapSec: (maxEntry.ms - minEntry.ms) / 1000,
+          pointsToMove: block.length - longestNonDecreasingLength(block.map(e => e.ms))
+        });
+      }
+      start = i + 1;
+    }
+  }
+  return blocks;
+}
+
 /**
  * Audits timestamps in an array of points
- * @param {Array} points - Array of point objects with timeRaw property
+ * Comparisons never cross a sequence boundary (track segment, route, or point type change);
+ * the first point of each new sequence starts a fresh comparison baseline
+ * Intended to run on one point stream at a time (see splitPointStreams); event indices are
+ * ingestion indices (point.index), not positions in the array passed in
+ * Events carry the raw timestamps; format them for display with formatTimestamp
+ * @param {Array} points - Array of point objects with timeRaw property and structural ordinals
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.resolutionBlockSize=50] - Valid timestamps per block when looking for resolution changes
+ * @param {boolean} [options.outOfOrderBlocks=false] - Also group out-of-order regions into blocks (opt-in;
+ *   the consecutive-only counters are computed either way)
  * @returns {Object} Audit metadata object with counters
  */
-function auditTimestamps(points) {
+function auditTimestamps(points, options = {}) {
+  const resolutionBlockSize = options.resolutionBlockSize !== undefined ? options.resolutionBlockSize : 50;
+  const analyzeOutOfOrderBlocks = options.outOfOrderBlocks === true;
+  
   // Initialize counters
   const totalPointsChecked = points.length;
   let missingTimestampCount = 0;
@@ -18,45 +117,119 @@ function auditTimestamps(points) {
   let backwardTimestampCount = 0;
   let strictlyIncreasingCount = 0; // Points in increasing order
   let maxBackwardJumpMs = null; // null if no backward jumps observed
+  let segmentBoundaryCount = 0; // Sequence changes where comparison was skipped
+  let subMillisecondTimestampCount = 0; // Valid timestamps with more than 3 fraction digits
+  
+  // Timestamp kinds as classified by parseTimestamp (utc, offset, zoneless, lenient, invalid)
+  const timestampKindCounts = {};
+  TIMESTAMP_KINDS.forEach((kind) => {
+    timestampKindCounts[kind] = 0;
+  });
+  
+  // Resolution observations: written fraction digits and the coarsest grid of each timestamp
+  const fractionDigitsCounts = {};
+  const resolutionCounts = {};
+  TIMESTAMP_RESOLUTION_GRIDS.concat(['finer']).forEach((grid) => {
+    resolutionCounts[grid] = 0;
+  });
+  const resolutionRank = (grid) => grid === 'finer' ? TIMESTAMP_RESOLUTION_GRIDS.length : TIMESTAMP_RESOLUTION_GRIDS.indexOf(grid);
+  let duplicatesOnWholeSecondCount = 0;
   
   // Collect flagged events
   const backwardTimestampEvents = [];
   const duplicateTimestampEvents = [];
+  const resolutionChangeEvents = [];
+  const outOfOrderBlocks = [];
+  let sequenceEntries = []; // Valid timestamps of the current sequence (only kept for block analysis)
+  
+  // Resolution blocks: consecutive valid timestamps in file order (sequence boundaries do not split them)
+  let block = null;      // {entries, lastIndex, count, rank, fractionDigits} being filled
+  let lastBlock = null;  // Last closed block, compared with the next one
+  const closeBlock = () => {
+    if (block === null) {
+      return;
+    }
+    if (lastBlock !== null && (block.rank !== lastBlock.rank || block.fractionDigits !== lastBlock.fractionDigits)) {
+      // First timestamp that does not fit the previous block; a change to a coarser grid
+      // cannot be pinned to one timestamp and is placed at the start of the block
+      let pos = block.entries.findIndex(e => e.rank > lastBlock.rank || e.fractionDigits !== lastBlock.fractionDigits);
+      if (pos < 0) {
+        pos = 0;
+      }
+      resolutionChangeEvents.push({
+        index: block.entries[pos].index,
+        prevIndex: pos > 0 ? block.entries[pos - 1].index : lastBlock.lastIndex,
+        fromResolution: TIMESTAMP_RESOLUTION_GRIDS[lastBlock.rank] || 'finer',
+        toResolution: TIMESTAMP_RESOLUTION_GRIDS[block.rank] || 'finer',
+        fromFractionDigits: lastBlock.fractionDigits,
+        toFractionDigits: block.fractionDigits
+      });
+    }
+    lastBlock = block;
+    lastBlock.entries = null;
+    block = null;
+  };
   
   let lastValidTimestampMs = null;
   let lastValidTimestampIndex = null;
   let lastValidTimestampRaw = null;
   
-  // Helper to format time for display
-  const formatTime = (timeRaw) => {
-    if (!timeRaw) return '';
-    const d = new Date(timeRaw);
-    if (isNaN(d.getTime())) return timeRaw;
-    const hours = String(d.getHours()).padStart(2, '0');
-    const minutes = String(d.getMinutes()).padStart(2, '0');
-    const seconds = String(d.getSeconds()).padStart(2, '0');
-    return `${hours}:${minutes}:${seconds}`;
-  };
-  
   // Iterate through all points
   for (let i = 0; i < points.length; i++) {
     const point = points[i];
     const timeRaw = point.timeRaw;
     
+    // Sequence boundary: do not compare across segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      segmentBoundaryCount++;
+      if (analyzeOutOfOrderBlocks) {
+        findOutOfOrderBlocks(sequenceEntries).forEach(b => outOfOrderBlocks.push(b));
+        sequenceEntries = [];
+      }
+      lastValidTimestampMs = null;
+      lastValidTimestampIndex = null;
+      lastValidTimestampRaw = null;
+    }
+    
     // Check for missing timestamp
     if (timeRaw === null) {
       missingTimestampCount++;
       continue; // Skip comparison for missing timestamps
     }
     
-    // Attempt to parse timestamp
-    const timestampMs = Date.parse(timeRaw);
+    // Attempt to parse timestamp (strict xsd:dateTime; lenient-only strings count as unparsable)
+    const parsed = parseTimestamp(timeRaw);
+    timestampKindCounts[parsed.kind]++;
     
     // Check if parsing failed
-    if (isNaN(timestampMs)) {
+    if (parsed.epochMs === null) {
       unparsableTimestampCount++;
       continue; // Skip comparison for unparsable timestamps
     }
+    const timestampMs = parsed.epochMs;
+    if (analyzeOutOfOrderBlocks) {
+      sequenceEntries.push({ index: point.index, ms: timestampMs, timeRaw: timeRaw });
+    }
+    if (parsed.fractionDigits.length > 3) {
+      subMillisecondTimestampCount++;
+    }
+    
+    // Resolution: fraction digits as written and the coarsest grid the value falls on
+    const digits = parsed.fractionDigits.length;
+    const resolution = getTimestampResolution(parsed.fractionDigits);
+    fractionDigitsCounts[digits] = (fractionDigitsCounts[digits] || 0) + 1;
+    resolutionCounts[resolution]++;
+    if (block === null) {
+      block = { entries: [], lastIndex: point.index, count: 0, rank: 0, fractionDigits: digits };
+    }
+    block.entries.push({ index: point.index, rank: resolutionRank(resolution), fractionDigits: digits });
+    block.lastIndex = point.index;
+    block.count++;
+    block.rank = Math.max(block.rank, resolutionRank(resolution));
+    block.fractionDigits = Math.max(block.fractionDigits, digits);
+    if (block.count === resolutionBlockSize) {
+      closeBlock();
+    }
     
     // At this point, we have a valid parsed timestamp
     // Compare with last valid timestamp (if exists)
@@ -64,10 +237,14 @@ function auditTimestamps(points) {
       // Check for duplicate timestamp (equal to last)
       if (timestampMs === lastValidTimestampMs) {
         duplicateTimestampCount++;
+        if (resolution === '1') {
+          duplicatesOnWholeSecondCount++;
+        }
         duplicateTimestampEvents.push({
-          index: i,
+          index: point.index,
           prevIndex: lastValidTimestampIndex,
-          time: formatTime(timeRaw)
+          timeRaw: timeRaw,
+          onWholeSecond: resolution === '1'
         });
       }
       // Check for backward timestamp (less than last)
@@ -81,10 +258,10 @@ function auditTimestamps(points) {
         }
         
         backwardTimestampEvents.push({
-          index: i,
+          index: point.index,
           prevIndex: lastValidTimestampIndex,
-          prevTime: formatTime(lastValidTimestampRaw),
-          currTime: formatTime(timeRaw)
+          prevTimeRaw: lastValidTimestampRaw,
+          currTimeRaw: timeRaw
         });
       }
       // Check for strictly increasing timestamp (greater than last - correct order)
@@ -95,10 +272,28 @@ function auditTimestamps(points) {
     
     // Update last valid timestamp for next comparison
     lastValidTimestampMs = timestampMs;
-    lastValidTimestampIndex = i;
+    lastValidTimestampIndex = point.index;
     lastValidTimestampRaw = timeRaw;
   }
   
+  if (analyzeOutOfOrderBlocks) {
+    findOutOfOrderBlocks(sequenceEntries).forEach(b => outOfOrderBlocks.push(b));
+  }
+  
+  // A short trailing block is only compared when it holds at least half a block:
+  // a few timestamps can fall on a coarser grid by chance
+  if (block !== null && (lastBlock === null || block.count * 2 >= resolutionBlockSize)) {
+    closeBlock();
+  }
+  
+  // Effective resolution: the finest grid any valid timestamp needs (grids are nested)
+  let effectiveResolution = null;
+  TIMESTAMP_RESOLUTION_GRIDS.concat(['finer']).forEach((grid) => {
+    if (resolutionCounts[grid] > 0) {
+      effectiveResolution = grid;
+    }
+  });
+  
   // Build audit metadata object
   const auditMetadata = {
     totalPointsChecked: totalPointsChecked,
@@ -108,8 +303,21 @@ function auditTimestamps(points) {
     backwardTimestampCount: backwardTimestampCount,
     strictlyIncreasingCount: strictlyIncreasingCount,
     maxBackwardJumpMs: maxBackwardJumpMs,
+    segmentBoundaryCount: segmentBoundaryCount,
+    timestampKindCounts: timestampKindCounts,
+    subMillisecondTimestampCount: subMillisecondTimestampCount,
+    resolution: {
+      fractionDigitsCounts: fractionDigitsCounts,
+      resolutionCounts: resolutionCounts,
+      effectiveResolution: effectiveResolution,
+      resolutionChangeCount: resolutionChangeEvents.length,
+      duplicatesOnWholeSecondCount: duplicatesOnWholeSecondCount
+    },
     backwardTimestampEvents: backwardTimestampEvents,
-    duplicateTimestampEvents: duplicateTimestampEvents
+    duplicateTimestampEvents: duplicateTimestampEvents,
+    resolutionChangeEvents: resolutionChangeEvents,
+    // Opt-in block analysis: null when not requested
+    outOfOrderBlocks: analyzeOutOfOrderBlocks ? outOfOrderBlocks : null
   };
   
   // Console log the audit results
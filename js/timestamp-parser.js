@@ -0,0 +1,203 @@
+/**
+ * Timestamp Parser Module
+ * Strict xsd:dateTime parsing for GPX <time> values
+ * Replaces Date.parse so results do not depend on the browser or the analyst's time zone
+ * Does NOT repair or guess malformed timestamps
+ */
+
+/**
+ * xsd:dateTime lexical form: [-]YYYY-MM-DDThh:mm:ss[.fraction][Z|(+|-)hh:mm]
+ * Years with more than four digits may not have leading zeros
+ */
+const XSD_DATETIME_PATTERN = /^(-?(?:[1-9]\d{4,}|\d{4}))-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Timestamp kinds returned by parseTimestamp
+ * - utc: valid xsd:dateTime with Z
+ * - offset: valid xsd:dateTime with a numeric offset (+01:00, -05:00, +00:00)
+ * - zoneless: valid xsd:dateTime without a zone designator; interpreted as UTC
+ * - lenient: not xsd:dateTime, but accepted by Date.parse (e.g. "2020/01/01 10:00"); not given a time
+ * - invalid: rejected by both
+ */
+const TIMESTAMP_KINDS = ['utc', 'offset', 'zoneless', 'lenient', 'invalid'];
+
+/**
+ * Parses a timestamp string as xsd:dateTime
+ * Zone-less timestamps are interpreted as UTC (never as browser local time) so every machine
+ * gets the same instant; offsetMinutes stays null to record that no zone was given
+ * @param {string|null} timeRaw - Raw timestamp string
+ * @returns {Object|null} null if timeRaw is null, otherwise:
+ *   - kind: one of TIMESTAMP_KINDS
+ *   - epochMs: milliseconds since 1970-01-01T00:00:00Z including sub-millisecond fraction, or null
+ *     (lenient and invalid timestamps have no time)
+ *   - offsetMinutes: zone offset in minutes (0 for Z), or null when zone-less / not valid
+ *   - fractionDigits: seconds fraction exactly as written ('' when absent), or null when not valid
+ */
+function parseTimestamp(timeRaw) {
+  if (timeRaw === null || timeRaw === undefined) {
+    return null;
+  }
+
+  const match = XSD_DATETIME_PATTERN.exec(timeRaw);
+  const fields = match ? validateDateTimeFields(match) : null;
+
+  if (fields === null) {
+    return {
+      kind: isNaN(Date.parse(timeRaw)) ? 'invalid' : 'lenient',
+      epochMs: null,
+      offsetMinutes: null,
+      fractionDigits: null
+    };
+  }
+
+  // setUTCFullYear keeps years 0-99 literal (Date.UTC would map them to 1900-1999)
+  const date = new Date(0);
+  date.setUTCFullYear(fields.year, fields.month - 1, fields.day);
+  date.setUTCHours(fields.hour, fields.minute, fields.second, 0);
+  const fractionMs = fields.fractionDigits !== '' ? parseFloat('0.' + fields.fractionDigits) * 1000 : 0;
+  const offsetMinutes = fields.offsetMinutes;
+  const epochMs = date.getTime() - (offsetMinutes !== null ? offsetMinutes * 60000 : 0) + fractionMs;
+
+  let kind = 'zoneless';
+  if (match[8] === 'Z') {
+    kind = 'utc';
+  } else if (offsetMinutes !== null) {
+    kind = 'offset';
+  }
+
+  return {
+    kind: kind,
+    epochMs: epochMs,
+    offsetMinutes: offsetMinutes,
+    fractionDigits: fields.fractionDigits
+  };
+}
+
+/**
+ * Checks the ranges of the fields matched by XSD_DATETIME_PATTERN
+ * 24:00:00 is the end of the day and is returned as 00:00:00 of the next day
+ * @param {Array<string>} match - Result of XSD_DATETIME_PATTERN.exec
+ * @returns {Object|null} Numeric fields, or null if any field is out of range
+ */
+function validateDateTimeFields(match) {
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  let day = parseInt(match[3], 10);
+  let hour = parseInt(match[4], 10);
+  const minute = parseInt(match[5], 10);
+  const second = parseInt(match[6], 10);
+  const fractionDigits = match[7] !== undefined ? match[7] : '';
+
+  // Year 0000 does not exist in xsd:dateTime (XML Schema 1.0)
+  if (year === 0 || month < 1 || month > 12) {
+    return null;
+  }
+  const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const daysInMonth = [31, isLeapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  if (day < 1 || day > daysInMonth || minute > 59 || second > 59) {
+    return null;
+  }
+  if (hour === 24) {
+    if (minute !== 0 || second !== 0 || /[1-9]/.test(fractionDigits)) {
+      return null;
+    }
+    hour = 0;
+    day += 1; // Date normalizes a day past the end of the month
+  } else if (hour > 23) {
+    return null;
+  }
+
+  let offsetMinutes = null;
+  const zone = match[8];
+  if (zone === 'Z') {
+    offsetMinutes = 0;
+  } else if (zone !== undefined) {
+    const offsetHours = parseInt(zone.substring(1, 3), 10);
+    const offsetMins = parseInt(zone.substring(4, 6), 10);
+    if (offsetHours > 14 || offsetMins > 59 || (offsetHours === 14 && offsetMins !== 0)) {
+      return null;
+    }
+    offsetMinutes = (zone[0] === '-' ? -1 : 1) * (offsetHours * 60 + offsetMins);
+  }
+
+  return {
+    year: year,
+    month: month,
+    day: day,
+    hour: hour,
+    minute: minute,
+    second: second,
+    fractionDigits: fractionDigits,
+    offsetMinutes: offsetMinutes
+  };
+}
+
+/**
+ * Parses a timestamp string to milliseconds since the epoch
+ * Drop-in replacement for Date.parse in the audits: returns NaN for anything that is not
+ * a valid xsd:dateTime (including strings only Date.parse would accept)
+ * @param {string|null} timeRaw - Raw timestamp string
+ * @returns {number} Milliseconds since the epoch (with sub-millisecond fraction), or NaN
+ */
+function parseTimestampMs(timeRaw) {
+  const parsed = parseTimestamp(timeRaw);
+  return parsed !== null && parsed.epochMs !== null ? parsed.epochMs : NaN;
+}
+
+/**
+ * Zones in which formatTimestamp can render a timestamp
+ * - utc: the instant in UTC
+ * - file: the wall-clock time as written in the file, with its own offset
+ * - local: the instant in the analyst's browser time zone
+ */
+const TIMESTAMP_DISPLAY_ZONES = ['utc', 'file', 'local'];
+
+/**
+ * Formats an offset in minutes as ±hh:mm
+ * @param {number} offsetMinutes - Offset east of UTC in minutes
+ * @returns {string} Offset such as '+01:00' or '-03:30'
+ */
+function formatOffsetMinutes(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  return sign + String(Math.floor(abs / 60)).padStart(2, '0') + ':' + String(abs % 60).padStart(2, '0');
+}
+
+/**
+ * Formats a timestamp for display with its full date, in one of TIMESTAMP_DISPLAY_ZONES
+ * Output: YYYY-MM-DD hh:mm:ss[.fraction] followed by the zone (Z or ±hh:mm); the seconds
+ * fraction is kept exactly as written. Zone-less timestamps shown in 'file' zone have no zone
+ * @param {string|null} timeRaw - Raw timestamp string
+ * @param {string} [zone='utc'] - One of TIMESTAMP_DISPLAY_ZONES
+ * @returns {string} Formatted timestamp, the raw string if it is not a valid xsd:dateTime,
+ *   or '' if timeRaw is null
+ */
+function formatTimestamp(timeRaw, zone = 'utc') {
+  const parsed = parseTimestamp(timeRaw);
+  if (parsed === null) {
+    return '';
+  }
+  if (parsed.epochMs === null) {
+    return timeRaw;
+  }
+
+  const wholeSecondMs = Math.floor(parsed.epochMs / 1000) * 1000;
+  let offsetMinutes = 0;
+  let zoneLabel = 'Z';
+  if (zone === 'file') {
+    offsetMinutes = parsed.offsetMinutes !== null ? parsed.offsetMinutes : 0;
+    zoneLabel = parsed.kind === 'utc' ? 'Z' : parsed.offsetMinutes !== null ? formatOffsetMinutes(offsetMinutes) : '';
+  } else if (zone === 'local') {
+    offsetMinutes = -new Date(wholeSecondMs).getTimezoneOffset();
+    zoneLabel = formatOffsetMinutes(offsetMinutes);
+  }
+
+  // Shift the instant by the offset and read the UTC fields as wall-clock fields
+  const d = new Date(wholeSecondMs + offsetMinutes * 60000);
+  const pad = (value, width) => String(value).padStart(width, '0');
+  const year = d.getUTCFullYear();
+  const date = (year < 0 ? '-' + pad(-year, 4) : pad(year, 4)) + '-' + pad(d.getUTCMonth() + 1, 2) + '-' + pad(d.getUTCDate(), 2);
+  const time = pad(d.getUTCHours(), 2) + ':' + pad(d.getUTCMinutes(), 2) + ':' + pad(d.getUTCSeconds(), 2) +
+    (parsed.fractionDigits !== '' ? '.' + parsed.fractionDigits : '');
+  return date + ' ' + time + (zoneLabel !== '' ? ' ' + zoneLabel : '');
+}
@@ -0,0 +1,113 @@
+/**
+ * Timezone Audit Module
+ * Observational audit pass for the zone designators and clock offsets of GPX timestamps
+ * Reports which zones are written, where the written offset changes, and where consecutive
+ * instants jump by a whole number of hours (a clock or offset error rather than a pause);
+ * forward whole-hour jumps without an offset change are kept apart as ambiguous pauses
+ * Does NOT shift, relabel, or correct timestamps
+ */
+
+/**
+ * Zone designator of a parsed timestamp as written
+ * @param {Object} parsed - Result of parseTimestamp with a valid time
+ * @returns {string} 'Z', a numeric offset such as '+05:30', or 'none' for zone-less timestamps
+ */
+function getZoneDesignator(parsed) {
+  if (parsed.kind === 'utc') {
+    return 'Z';
+  }
+  if (parsed.offsetMinutes === null) {
+    return 'none';
+  }
+  return formatOffsetMinutes(parsed.offsetMinutes);
+}
+
+/**
+ * Audits timestamp zones and clock offsets in an array of points
+ * Comparisons never cross a sequence boundary (track segment, route, or point type change)
+ * @param {Array} points - Array of point objects with timeRaw property and structural ordinals
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.toleranceSec=5] - Allowed distance (seconds) from a whole number of hours
+ * @param {number} [options.maxHours=26] - Largest whole-hour jump considered (widest UTC offset span)
+ * @returns {Object} Audit metadata object with zone counts, flagged events and ambiguous pauses
+ */
+function auditTimezones(points, options = {}) {
+  const toleranceSec = options.toleranceSec !== undefined ? options.toleranceSec : 5;
+  const maxHours = options.maxHours !== undefined ? options.maxHours : 26;
+
+  const zoneDesignatorCounts = {};
+  let segmentBoundaryCount = 0;
+
+  // Collect flagged events
+  const offsetChangeEvents = [];
+  const wholeHourDiscontinuityEvents = [];
+  const ambiguousPauseEvents = [];
+
+  let prev = null; // {point, parsed} of the last valid timestamp in this sequence
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Sequence boundary: do not compare across segments, routes or point types
+    if (i > 0 && !isSameSequence(points[i - 1], point)) {
+      segmentBoundaryCount++;
+      prev = null;
+    }
+
+    const parsed = parseTimestamp(point.timeRaw);
+    if (parsed === null || parsed.epochMs === null) {
+      continue; // Skip missing and unparsable timestamps
+    }
+
+    const zone = getZoneDesignator(parsed);
+    zoneDesignatorCounts[zone] = (zoneDesignatorCounts[zone] || 0) + 1;
+
+    if (prev !== null) {
+      const offsetChanged = parsed.offsetMinutes !== prev.parsed.offsetMinutes;
+      if (offsetChanged) {
+        offsetChangeEvents.push({
+          index: point.index,
+          prevIndex: prev.point.index,
+          fromZone: getZoneDesignator(prev.parsed),
+          toZone: zone,
+          prevTimeRaw: prev.point.timeRaw,
+          currTimeRaw: point.timeRaw
+        });
+      }
+
+      // Whole-hour jump between consecutive instants: a discontinuity when the clock goes backward or the
+      // offset changes with it; a forward jump under the same offset may just be a pause of whole hours
+      const deltaSec = (parsed.epochMs - prev.parsed.epochMs) / 1000;
+      const hours = Math.round(deltaSec / 3600);
+      const residualSec = deltaSec - hours * 3600;
+      if (hours !== 0 && Math.abs(hours) <= maxHours && Math.abs(residualSec) <= toleranceSec) {
+        const bucket = deltaSec < 0 || offsetChanged ? wholeHourDiscontinuityEvents : ambiguousPauseEvents;
+        bucket.push({
+          index: point.index,
+          prevIndex: prev.point.index,
+          deltaSec: deltaSec,
+          hours: hours,
+          residualSec: residualSec,
+          offsetChanged: offsetChanged,
+          prevTimeRaw: prev.point.timeRaw,
+          currTimeRaw: point.timeRaw
+        });
+      }
+    }
+
+    prev = { point: point, parsed: parsed };
+  }
+
+  return {
+    totalPointsChecked: points.length,
+    zoneDesignatorCounts: zoneDesignatorCounts,
+    mixedZones: Object.keys(zoneDesignatorCounts).length > 1,
+    segmentBoundaryCount: segmentBoundaryCount,
+    offsetChangeCount: offsetChangeEvents.length,
+    offsetChangeEvents: offsetChangeEvents,
+    wholeHourDiscontinuityCount: wholeHourDiscontinuityEvents.length,
+    wholeHourDiscontinuityEvents: wholeHourDiscontinuityEvents,
+    ambiguousPauseCount: ambiguousPauseEvents.length,
+    ambiguousPauseEvents: ambiguousPauseEvents
+  };
+}